@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { getAllTools } = require('./mcp-tools');
+
+// Generate TOOLS.md from the tool registry so the docs can't drift from what
+// tools/list actually returns. Run with: npm run docs:tools
+
+const OUTPUT_FILE = path.join(__dirname, 'TOOLS.md');
+
+function describeType(schema) {
+  if (schema.type === 'array' && schema.items?.type) {
+    return `${schema.items.type}[]`;
+  }
+  if (schema.enum) {
+    return schema.enum.map(value => `\`${value}\``).join(' \\| ');
+  }
+  if (Array.isArray(schema.type)) {
+    return schema.type.join(' \\| ');
+  }
+  return schema.type || 'any';
+}
+
+// Flatten nested object and array schemas into one row per field, using
+// dotted paths such as `workouts[].sections[].label`
+function collectParameters(schema, prefix = '', rows = []) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+
+  for (const [name, property] of Object.entries(properties)) {
+    const fieldPath = prefix ? `${prefix}.${name}` : name;
+    const notes = [];
+    if (property.default !== undefined) notes.push(`default: \`${JSON.stringify(property.default)}\``);
+
+    rows.push({
+      path: fieldPath,
+      type: describeType(property),
+      required: required.includes(name),
+      description: [property.description, ...notes].filter(Boolean).join('; ')
+    });
+
+    if (property.type === 'object') {
+      collectParameters(property, fieldPath, rows);
+    } else if (property.type === 'array' && property.items?.type === 'object') {
+      collectParameters(property.items, `${fieldPath}[]`, rows);
+    }
+  }
+
+  return rows;
+}
+
+function renderTool(tool) {
+  const lines = [`## \`${tool.name}\``, '', `**${tool.title}**`, '', tool.description, ''];
+
+  lines.push(`**Required scopes:** ${tool.scopes.map(scope => `\`${scope}\``).join(', ') || 'none'}`);
+  lines.push('');
+
+  const annotations = Object.entries(tool.annotations || {});
+  if (annotations.length > 0) {
+    lines.push(`**Annotations:** ${annotations.map(([key, value]) => `\`${key}: ${value}\``).join(', ')}`);
+    lines.push('');
+  }
+
+  renderFields(lines, 'Parameters', collectParameters(tool.inputSchema));
+  if (tool.outputSchema) {
+    renderFields(lines, 'Output', collectParameters(tool.outputSchema));
+  }
+
+  return lines.join('\n');
+}
+
+function renderFields(lines, heading, rows) {
+  if (rows.length === 0) {
+    lines.push(`**${heading}:** none`, '');
+    return;
+  }
+
+  lines.push(`**${heading}:**`, '');
+  lines.push('| Name | Type | Required | Description |');
+  lines.push('|------|------|----------|-------------|');
+  for (const row of rows) {
+    lines.push(`| \`${row.path}\` | ${row.type} | ${row.required ? 'yes' : 'no'} | ${row.description} |`);
+  }
+  lines.push('');
+}
+
+function generateToolDocs() {
+  const sections = [
+    '# MCP Tools',
+    '',
+    '<!-- Generated by generate-tool-docs.js from mcp-tools.js. Do not edit by hand. -->',
+    '',
+    ...getAllTools().map(renderTool)
+  ];
+
+  return sections.join('\n');
+}
+
+if (require.main === module) {
+  fs.writeFileSync(OUTPUT_FILE, generateToolDocs());
+  console.log(`✅ Wrote ${OUTPUT_FILE}`);
+}
+
+module.exports = { generateToolDocs };
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { createApiKey, rotateApiKey, revokeApiKey, listApiKeys } = require('./mcp-api-keys');
+
+// Command-line management of API keys for server-to-server callers
+//
+//   node manage-api-keys.js create --name "Nightly sync" --service sync-job --scopes exercises:read [--act-as-user] [--expires 2026-12-31]
+//   node manage-api-keys.js rotate <key-id> [--grace-hours 24]
+//   node manage-api-keys.js revoke <key-id>
+//   node manage-api-keys.js list [--service sync-job]
+
+function parseArgs(argv) {
+  const options = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      options._.push(arg);
+      continue;
+    }
+
+    const name = arg.substring(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      options[name] = true;
+    } else {
+      options[name] = next;
+      i++;
+    }
+  }
+
+  return options;
+}
+
+function printKey(record) {
+  console.log(`  id:           ${record._id}`);
+  console.log(`  prefix:       ${record.key_prefix}…`);
+  console.log(`  name:         ${record.name}`);
+  console.log(`  service:      ${record.service_id}`);
+  console.log(`  scopes:       ${record.scopes.join(' ') || '(none)'}`);
+  console.log(`  roles:        ${record.roles.join(' ') || '(none)'}`);
+  console.log(`  act as user:  ${record.can_act_as_user ? 'yes' : 'no'}`);
+  console.log(`  expires:      ${record.expires_at ? record.expires_at.toISOString() : 'never'}`);
+  console.log(`  revoked:      ${record.revoked_at ? record.revoked_at.toISOString() : 'no'}`);
+  console.log(`  last used:    ${record.last_used_at ? record.last_used_at.toISOString() : 'never'}`);
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  const [command, keyId] = options._;
+
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/main_store';
+  await mongoose.connect(mongoUri);
+
+  try {
+    switch (command) {
+      case 'create': {
+        const { apiKey, record } = await createApiKey({
+          name: options.name,
+          serviceId: options.service,
+          scopes: typeof options.scopes === 'string' ? options.scopes.split(',') : [],
+          roles: typeof options.roles === 'string' ? options.roles.split(',') : [],
+          canActAsUser: Boolean(options['act-as-user']),
+          expiresAt: options.expires ? new Date(options.expires) : null
+        });
+        console.log('✅ API key created. Store it now, it cannot be shown again:\n');
+        console.log(`  ${apiKey}\n`);
+        printKey(record);
+        break;
+      }
+
+      case 'rotate': {
+        if (!keyId) throw new Error('Usage: rotate <key-id> [--grace-hours 24]');
+        const graceHours = parseFloat(options['grace-hours'] || '24');
+        const { apiKey, record } = await rotateApiKey(keyId, { gracePeriodSeconds: graceHours * 3600 });
+        console.log(`✅ API key rotated. The old key stops working in ${graceHours} hours. New key:\n`);
+        console.log(`  ${apiKey}\n`);
+        printKey(record);
+        break;
+      }
+
+      case 'revoke': {
+        if (!keyId) throw new Error('Usage: revoke <key-id>');
+        const revoked = await revokeApiKey(keyId);
+        console.log(revoked ? `✅ API key ${keyId} revoked` : `⚠️  API key ${keyId} not found or already revoked`);
+        break;
+      }
+
+      case 'list': {
+        const keys = await listApiKeys(options.service || null);
+        console.log(`Found ${keys.length} API keys\n`);
+        keys.forEach(record => {
+          printKey(record);
+          console.log('');
+        });
+        break;
+      }
+
+      default:
+        throw new Error('Usage: node manage-api-keys.js <create|rotate|revoke|list> [options]');
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  run().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs };
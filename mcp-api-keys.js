@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { McpApiKey } = require('./mcp-models');
+const { AuthenticationError } = require('./mcp-auth');
+const { ForbiddenError, resolvePermissions } = require('./mcp-policy');
+
+// API keys for backend jobs and internal agents that have no user JWT. Only a
+// SHA-256 hash of each key is stored; the plaintext is shown once on creation.
+
+const KEY_PREFIX = 'mcpk_';
+// Don't write last_used_at more often than this per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+// Create a key for a service identity and return it with its plaintext
+async function createApiKey({ name, serviceId, scopes = [], roles = [], canActAsUser = false, expiresAt = null, rotatedFrom = null }) {
+  if (!name || !serviceId) {
+    throw new Error('API keys need a name and a serviceId');
+  }
+
+  const apiKey = generateApiKey();
+  const doc = await McpApiKey.create({
+    _id: uuidv4(),
+    key_hash: hashApiKey(apiKey),
+    key_prefix: apiKey.substring(0, KEY_PREFIX.length + 6),
+    name,
+    service_id: serviceId,
+    scopes,
+    roles,
+    can_act_as_user: canActAsUser,
+    expires_at: expiresAt,
+    rotated_from: rotatedFrom,
+    created_at: new Date()
+  });
+
+  return { apiKey, record: doc.toObject() };
+}
+
+// Issue a replacement key with the same identity and permissions. The old key
+// keeps working for the grace period so callers can be redeployed.
+async function rotateApiKey(keyId, { gracePeriodSeconds = 24 * 60 * 60, expiresAt } = {}) {
+  const current = await McpApiKey.findById(keyId).lean();
+  if (!current || current.revoked_at) {
+    throw new Error(`API key ${keyId} not found or revoked`);
+  }
+
+  const replacement = await createApiKey({
+    name: current.name,
+    serviceId: current.service_id,
+    scopes: current.scopes,
+    roles: current.roles,
+    canActAsUser: current.can_act_as_user,
+    expiresAt: expiresAt !== undefined ? expiresAt : current.expires_at,
+    rotatedFrom: current._id
+  });
+
+  const graceEnd = new Date(Date.now() + gracePeriodSeconds * 1000);
+  const oldExpiry = current.expires_at && current.expires_at < graceEnd ? current.expires_at : graceEnd;
+
+  await McpApiKey.updateOne(
+    { _id: current._id },
+    { $set: { expires_at: oldExpiry, replaced_by: replacement.record._id } }
+  );
+
+  return replacement;
+}
+
+async function revokeApiKey(keyId) {
+  const result = await McpApiKey.updateOne(
+    { _id: keyId, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function listApiKeys(serviceId = null) {
+  const filter = serviceId ? { service_id: serviceId } : {};
+  return await McpApiKey.find(filter, { key_hash: 0 }).sort({ created_at: -1 }).lean();
+}
+
+async function touchLastUsed(key) {
+  const threshold = new Date(Date.now() - LAST_USED_RESOLUTION_MS);
+
+  try {
+    await McpApiKey.updateOne(
+      { _id: key._id, $or: [{ last_used_at: null }, { last_used_at: { $lt: threshold } }] },
+      { $set: { last_used_at: new Date() } }
+    );
+  } catch (error) {
+    console.error('Failed to update API key last_used_at:', error.message);
+  }
+}
+
+// Verify an API key and build the same userContext shape JWT callers get.
+// Keys with can_act_as_user may name a user in actAsUserId; the service then
+// acts as that user, and the key's scopes still apply.
+async function verifyApiKey(apiKey, { actAsUserId = null } = {}) {
+  if (!apiKey || !apiKey.startsWith(KEY_PREFIX)) {
+    throw new AuthenticationError('API key is malformed', 'invalid_api_key');
+  }
+
+  const key = await McpApiKey.findOne({ key_hash: hashApiKey(apiKey) }).lean();
+
+  if (!key || key.revoked_at) {
+    throw new AuthenticationError('API key is not recognised or has been revoked', 'invalid_api_key');
+  }
+
+  if (key.expires_at && key.expires_at <= new Date()) {
+    throw new AuthenticationError(`API key expired at ${key.expires_at.toISOString()}`, 'api_key_expired');
+  }
+
+  if (actAsUserId && !key.can_act_as_user) {
+    throw new ForbiddenError(`API key ${key.key_prefix}… may not act as a user`, ['act_as_user']);
+  }
+
+  await touchLastUsed(key);
+
+  const serviceSubject = `service:${key.service_id}`;
+  const decoded = {
+    sub: serviceSubject,
+    scopes: key.scopes,
+    roles: key.roles,
+    act_as: actAsUserId || undefined
+  };
+
+  return {
+    userId: actAsUserId || serviceSubject,
+    decoded,
+    ...resolvePermissions(decoded),
+    authType: 'api_key',
+    serviceId: key.service_id,
+    apiKeyId: key._id
+  };
+}
+
+module.exports = {
+  KEY_PREFIX,
+  hashApiKey,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  listApiKeys,
+  verifyApiKey
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { McpAuditLog } = require('./mcp-models');
+
+// Append-only audit trail of mutating tool calls
+
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 200;
+
+// Hash rather than store arguments: they can be large and may hold personal
+// data, but support can still match an entry against a suspected payload
+function hashArguments(args) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(args ?? {}))
+    .digest('hex');
+}
+
+// Write one audit entry. Failures are logged, never thrown: a missing audit
+// entry must not turn a successful write into an error for the caller.
+async function recordAuditEntry(entry) {
+  try {
+    await McpAuditLog.create({
+      _id: uuidv4(),
+      user_id: entry.userId,
+      token_subject: entry.tokenSubject || null,
+      origin: entry.origin || null,
+      tool: entry.tool,
+      arguments_hash: hashArguments(entry.args),
+      created_ids: entry.createdIds || [],
+      outcome: entry.outcome,
+      error: entry.error || null,
+      duration_ms: entry.durationMs,
+      created_at: new Date()
+    });
+  } catch (error) {
+    console.error('Failed to write audit log entry:', error.message, {
+      tool: entry.tool,
+      user_id: entry.userId,
+      outcome: entry.outcome
+    });
+  }
+}
+
+// Query entries newest first, filtered by user, tool and date range
+async function queryAuditLog({ user_id, tool, from, to, limit } = {}) {
+  const filter = {};
+
+  if (user_id) filter.user_id = user_id;
+  if (tool) filter.tool = tool;
+
+  if (from || to) {
+    filter.created_at = {};
+    if (from) filter.created_at.$gte = parseDate(from, 'from');
+    if (to) filter.created_at.$lte = parseDate(to, 'to');
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+
+  return await McpAuditLog.find(filter)
+    .sort({ created_at: -1 })
+    .limit(pageSize)
+    .lean();
+}
+
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${field} date: ${value}. Use an ISO 8601 date`);
+  }
+  return date;
+}
+
+module.exports = {
+  hashArguments,
+  recordAuditEntry,
+  queryAuditLog
+};
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+// JSON-RPC error codes returned with HTTP 401, one per failure reason so
+// clients can tell an expired token apart from a forged one
+const AUTH_ERROR_CODES = {
+  missing_token: -32001,
+  invalid_token: -32001,
+  token_expired: -32010,
+  invalid_signature: -32011,
+  invalid_audience: -32012,
+  invalid_issuer: -32013,
+  token_not_active: -32014,
+  invalid_api_key: -32015,
+  api_key_expired: -32016
+};
+
+const AUTH_ERROR_MESSAGES = {
+  missing_token: 'Authentication required',
+  invalid_token: 'Authentication failed',
+  token_expired: 'Token expired',
+  invalid_signature: 'Invalid token signature',
+  invalid_audience: 'Invalid token audience',
+  invalid_issuer: 'Invalid token issuer',
+  token_not_active: 'Token not yet valid',
+  invalid_api_key: 'Invalid API key',
+  api_key_expired: 'API key expired'
+};
+
+class AuthenticationError extends Error {
+  constructor(message, reason = 'invalid_token') {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.reason = reason;
+    this.code = AUTH_ERROR_CODES[reason] || AUTH_ERROR_CODES.invalid_token;
+    this.title = AUTH_ERROR_MESSAGES[reason] || AUTH_ERROR_MESSAGES.invalid_token;
+  }
+}
+
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'];
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+// Unknown kids come from the token, so anyone can send them. They force a
+// refetch at most this often; until then they are rejected from the cache.
+const JWKS_MIN_REFRESH_MS = 30 * 1000;
+
+// Cached per Lambda container so warm invocations don't refetch the key set
+let jwksCache = { keys: null, source: null, fetchedAt: 0 };
+
+// Read verification settings from the environment on every call so tests and
+// serverless-offline can change them without reloading the module
+function getJWTConfig() {
+  const splitList = (value) => (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  const audience = splitList(process.env.JWT_AUDIENCE);
+
+  return {
+    secret: process.env.JWT_SECRET || null,
+    jwksFile: process.env.JWT_JWKS_FILE || null,
+    jwksUrl: process.env.JWT_JWKS_URL || null,
+    issuer: process.env.JWT_ISSUER || null,
+    audience: audience.length > 1 ? audience : audience[0] || null,
+    clockTolerance: parseInt(process.env.JWT_CLOCK_TOLERANCE || '30', 10)
+  };
+}
+
+async function loadJWKS(config) {
+  const source = config.jwksFile || config.jwksUrl;
+  const isFresh = Date.now() - jwksCache.fetchedAt < JWKS_CACHE_TTL_MS;
+
+  if (jwksCache.keys && jwksCache.source === source && isFresh) {
+    return jwksCache.keys;
+  }
+
+  let jwks;
+  if (config.jwksFile) {
+    jwks = JSON.parse(fs.readFileSync(config.jwksFile, 'utf8'));
+  } else {
+    const response = await fetch(config.jwksUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS from ${config.jwksUrl}: HTTP ${response.status}`);
+    }
+    jwks = await response.json();
+  }
+
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new Error('JWKS document must contain a "keys" array');
+  }
+
+  jwksCache = { keys: jwks.keys, source, fetchedAt: Date.now() };
+  return jwks.keys;
+}
+
+// Pick the JWK matching the token's kid. Tokens without a kid are only
+// accepted when the key set holds exactly one signing key.
+async function resolvePublicKey(header, config) {
+  let keys = await loadJWKS(config);
+  let jwk = header.kid
+    ? keys.find(key => key.kid === header.kid)
+    : (keys.length === 1 ? keys[0] : null);
+
+  // The issuer may have rotated keys since we cached them
+  const canRefresh = Date.now() - jwksCache.fetchedAt >= JWKS_MIN_REFRESH_MS;
+  if (!jwk && header.kid && config.jwksUrl && !config.jwksFile && canRefresh) {
+    jwksCache.fetchedAt = 0;
+    keys = await loadJWKS(config);
+    jwk = keys.find(key => key.kid === header.kid);
+  }
+
+  if (!jwk) {
+    throw new AuthenticationError(
+      header.kid ? `No signing key found for kid "${header.kid}"` : 'Token has no kid and JWKS contains multiple keys',
+      'invalid_signature'
+    );
+  }
+
+  if (jwk.use && jwk.use !== 'sig') {
+    throw new AuthenticationError(`Key "${jwk.kid}" is not a signing key`, 'invalid_signature');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Translate jsonwebtoken's errors into our failure reasons
+function toAuthenticationError(error) {
+  if (error instanceof AuthenticationError) {
+    return error;
+  }
+
+  if (error.name === 'TokenExpiredError') {
+    return new AuthenticationError(`Token expired at ${error.expiredAt.toISOString()}`, 'token_expired');
+  }
+
+  if (error.name === 'NotBeforeError') {
+    return new AuthenticationError(`Token not valid before ${error.date.toISOString()}`, 'token_not_active');
+  }
+
+  if (error.name === 'JsonWebTokenError') {
+    if (error.message.startsWith('jwt audience invalid')) {
+      return new AuthenticationError(error.message, 'invalid_audience');
+    }
+    if (error.message.startsWith('jwt issuer invalid')) {
+      return new AuthenticationError(error.message, 'invalid_issuer');
+    }
+    if (error.message === 'invalid signature' || error.message === 'invalid algorithm') {
+      return new AuthenticationError(error.message, 'invalid_signature');
+    }
+  }
+
+  return new AuthenticationError(`JWT token validation failed: ${error.message}`, 'invalid_token');
+}
+
+// Verify a raw JWT against the configured HS256 secret or JWKS and return
+// its decoded payload
+async function verifyJWT(token) {
+  const config = getJWTConfig();
+
+  if (!config.secret && !config.jwksFile && !config.jwksUrl) {
+    throw new Error('JWT verification is not configured. Set JWT_SECRET, JWT_JWKS_FILE or JWT_JWKS_URL');
+  }
+
+  const complete = jwt.decode(token, { complete: true });
+  if (!complete || !complete.header) {
+    throw new AuthenticationError('Invalid JWT token format', 'invalid_token');
+  }
+
+  const { alg } = complete.header;
+  let key;
+  let algorithms;
+
+  if (alg === 'HS256') {
+    if (!config.secret) {
+      throw new AuthenticationError('HS256 tokens are not accepted by this server', 'invalid_signature');
+    }
+    key = config.secret;
+    algorithms = ['HS256'];
+  } else if (ASYMMETRIC_ALGORITHMS.includes(alg)) {
+    if (!config.jwksFile && !config.jwksUrl) {
+      throw new AuthenticationError(`${alg} tokens are not accepted by this server`, 'invalid_signature');
+    }
+    try {
+      key = await resolvePublicKey(complete.header, config);
+    } catch (error) {
+      if (error instanceof AuthenticationError) throw error;
+      throw new Error(`Failed to load signing keys: ${error.message}`);
+    }
+    algorithms = [alg];
+  } else {
+    throw new AuthenticationError(`Unsupported JWT algorithm: ${alg}`, 'invalid_signature');
+  }
+
+  const options = {
+    algorithms,
+    clockTolerance: config.clockTolerance
+  };
+  if (config.issuer) options.issuer = config.issuer;
+  if (config.audience) options.audience = config.audience;
+
+  try {
+    return jwt.verify(token, key, options);
+  } catch (error) {
+    throw toAuthenticationError(error);
+  }
+}
+
+// Test helper: forget cached keys
+function clearJWKSCache() {
+  jwksCache = { keys: null, source: null, fetchedAt: 0 };
+}
+
+module.exports = {
+  AuthenticationError,
+  AUTH_ERROR_CODES,
+  getJWTConfig,
+  verifyJWT,
+  clearJWKSCache
+};
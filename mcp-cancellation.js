@@ -0,0 +1,102 @@
+const { McpInflightRequest } = require('./mcp-models');
+
+// In-flight request registry for notifications/cancelled. Requests are tracked
+// in MongoDB because a cancellation usually arrives in a different Lambda
+// invocation than the request it cancels. An AbortController per request also
+// covers cancellations handled by the same process.
+
+// Lambda's maximum run time; entries older than this are stale
+const INFLIGHT_TTL_SECONDS = 15 * 60;
+
+class RequestCancelledError extends Error {
+  constructor(reason = null) {
+    super(reason ? `Request cancelled: ${reason}` : 'Request cancelled');
+    this.name = 'RequestCancelledError';
+    this.reason = reason;
+  }
+}
+
+const controllers = new Map();
+
+// JSON keeps request IDs 1 and "1" apart
+function requestKey(sessionId, requestId) {
+  return `${sessionId}:${JSON.stringify(requestId)}`;
+}
+
+// Register a request and return its cancellation handle:
+//   signal           - AbortSignal, aborted once a cancellation has been seen
+//   throwIfCancelled - throws RequestCancelledError if the client cancelled
+//   finish           - remove the request from the registry
+// Cancellation is best effort, so registry errors are logged, never thrown.
+async function registerRequest(sessionId, requestId) {
+  const key = requestKey(sessionId, requestId);
+  const controller = new AbortController();
+  controllers.set(key, controller);
+
+  const now = new Date();
+  try {
+    await McpInflightRequest.create({
+      _id: key,
+      session_id: sessionId,
+      request_id: requestId,
+      started_at: now,
+      expires_at: new Date(now.getTime() + INFLIGHT_TTL_SECONDS * 1000)
+    });
+  } catch (error) {
+    console.error('Failed to register in-flight request:', key, error.message);
+  }
+
+  return {
+    signal: controller.signal,
+
+    async throwIfCancelled() {
+      if (!controller.signal.aborted) {
+        try {
+          const entry = await McpInflightRequest.findOne({ _id: key, cancelled_at: { $ne: null } }).lean();
+          if (entry) controller.abort(new RequestCancelledError(entry.reason));
+        } catch (error) {
+          console.error('Failed to check for cancellation:', key, error.message);
+        }
+      }
+
+      if (controller.signal.aborted) {
+        const reason = controller.signal.reason;
+        throw reason instanceof RequestCancelledError ? reason : new RequestCancelledError();
+      }
+    },
+
+    async finish() {
+      controllers.delete(key);
+      try {
+        await McpInflightRequest.deleteOne({ _id: key });
+      } catch (error) {
+        console.error('Failed to unregister in-flight request:', key, error.message);
+      }
+    }
+  };
+}
+
+// Mark a request as cancelled. Returns false when it isn't in flight, which
+// the spec says to ignore (it may already have finished).
+async function cancelRequest(sessionId, requestId, reason = null) {
+  const key = requestKey(sessionId, requestId);
+
+  const controller = controllers.get(key);
+  if (controller) {
+    controller.abort(new RequestCancelledError(reason));
+  }
+
+  const result = await McpInflightRequest.updateOne(
+    { _id: key, cancelled_at: null },
+    { $set: { cancelled_at: new Date(), reason } }
+  );
+
+  return Boolean(controller) || result.modifiedCount > 0;
+}
+
+module.exports = {
+  RequestCancelledError,
+  requestKey,
+  registerRequest,
+  cancelRequest
+};
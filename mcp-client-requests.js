@@ -0,0 +1,120 @@
+const { v4: uuidv4 } = require('uuid');
+const { McpClientRequest } = require('./mcp-models');
+const { requestKey } = require('./mcp-cancellation');
+
+// Requests the server sends to the client, such as elicitation/create.
+// API Gateway buffers Lambda responses, so a request can't wait for its answer
+// within one invocation. Instead the request that needs the answer ends
+// without a response (ResponseDeferredError), and the invocation receiving the
+// client's answer resumes it and stores the response. The client collects it
+// by resuming the stream with GET and Last-Event-ID set to the server
+// request's event ID. SDK clients never do that after a stream that ended
+// normally, so this flow is off unless MCP_DEFERRED_ELICITATION is true.
+//
+// A long-running server (mcp-http-server.js) keeps streams open instead, so
+// it sends the request and waits in-process for the answer POSTed back.
+
+// How long a client has to answer
+const CLIENT_REQUEST_TTL_SECONDS = 10 * 60;
+
+// Thrown to end a request whose response will be sent once the client has
+// answered the server's request `requestId`
+class ResponseDeferredError extends Error {
+  constructor(requestId) {
+    super(`Response deferred until the client answers request ${requestId}`);
+    this.name = 'ResponseDeferredError';
+    this.requestId = requestId;
+  }
+}
+
+const waiting = new Map();
+
+// Whether requests may end without a response until the client answers
+function isDeferredResponseEnabled() {
+  return process.env.MCP_DEFERRED_ELICITATION === 'true';
+}
+
+// Wait for the client's response to a request sent over a live stream.
+// Resolves with the JSON-RPC response message; rejects after the TTL.
+function waitForClientResponse(sessionId, requestId, timeoutMs = CLIENT_REQUEST_TTL_SECONDS * 1000) {
+  const key = requestKey(sessionId, requestId);
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      waiting.delete(key);
+      reject(new Error(`No response to server request ${requestId} within ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+    waiting.set(key, message => {
+      clearTimeout(timer);
+      waiting.delete(key);
+      resolve(message);
+    });
+  });
+}
+
+// Hand a client response to the request waiting for it in this process.
+// Returns false when nothing here is waiting for it.
+function resolveClientResponse(sessionId, message) {
+  const resolve = waiting.get(requestKey(sessionId, message.id));
+  if (!resolve) return false;
+  resolve(message);
+  return true;
+}
+
+// Record a server request and return its JSON-RPC message. The ID doubles as
+// the SSE event ID the message is sent under.
+async function createClientRequest({ sessionId, userId, method, params, purpose, originalRequestId, originalParams }) {
+  const now = new Date();
+  const request = await McpClientRequest.create({
+    _id: uuidv4(),
+    session_id: sessionId,
+    user_id: userId,
+    method,
+    params,
+    purpose,
+    original_request_id: originalRequestId,
+    original_params: originalParams,
+    created_at: now,
+    expires_at: new Date(now.getTime() + CLIENT_REQUEST_TTL_SECONDS * 1000)
+  });
+
+  return { jsonrpc: '2.0', id: request._id, method, params };
+}
+
+// Claim the pending request a client response answers. Returns null for
+// unknown, expired or already answered requests, so a retried response is
+// only acted on once.
+async function takeClientRequest(sessionId, requestId) {
+  if (typeof requestId !== 'string') return null;
+
+  return await McpClientRequest.findOneAndUpdate(
+    { _id: requestId, session_id: sessionId, status: 'pending' },
+    { $set: { status: 'answered' } },
+    { new: true }
+  ).lean();
+}
+
+// Store the messages to replay once the deferred request has been resumed
+async function completeClientRequest(requestId, messages) {
+  await McpClientRequest.updateOne(
+    { _id: requestId },
+    { $set: { status: 'completed', messages } }
+  );
+}
+
+// Messages for a GET stream resuming after `lastEventId`, or null when there
+// is nothing (yet) to replay
+async function getReplayMessages(sessionId, lastEventId) {
+  const request = await McpClientRequest.findOne({ _id: lastEventId, session_id: sessionId, status: 'completed' }).lean();
+  return request ? request.messages : null;
+}
+
+module.exports = {
+  ResponseDeferredError,
+  isDeferredResponseEnabled,
+  createClientRequest,
+  takeClientRequest,
+  completeClientRequest,
+  getReplayMessages,
+  waitForClientResponse,
+  resolveClientResponse
+};
@@ -0,0 +1,116 @@
+const { ContentItems } = require('@baseplay/models');
+const { InvalidParamsError } = require('./mcp-schema');
+const { getPrompt } = require('./mcp-prompts');
+const { getAllResourceTemplates } = require('./mcp-resources');
+const { accessibleCreators } = require('./mcp-policy');
+
+// completion/complete: suggestions for prompt arguments and resource template
+// variables. Prompt arguments name their source in `completion`, templates in
+// `completions` (keyed by variable); arguments with an enum schema complete
+// from the enum. Sources match the typed prefix against document IDs and
+// English titles.
+
+// The spec caps a completion result at 100 values
+const MAX_COMPLETION_VALUES = 100;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Documents of `itemType` whose `field` or English title starts with `prefix`,
+// ordered by _id. Returns { values, hasMore }.
+async function completeContentItems(itemType, field, prefix, filter = {}) {
+  const pattern = new RegExp(`^${escapeRegExp(prefix)}`, 'i');
+  const documents = await ContentItems.find({
+    ...filter,
+    item_type: itemType,
+    $or: [
+      { [field]: pattern },
+      { locale: { $elemMatch: { language_iso: 'en', title: pattern } } }
+    ]
+  })
+    .select({ _id: 1, [field]: 1 })
+    .sort({ _id: 1 })
+    .limit(MAX_COMPLETION_VALUES + 1)
+    .lean();
+
+  const values = documents.map(document => document[field]).filter(Boolean);
+  return {
+    values: values.slice(0, MAX_COMPLETION_VALUES),
+    hasMore: values.length > MAX_COMPLETION_VALUES
+  };
+}
+
+// Workouts and programs the caller may read, by the same rule as resources/read
+function completeOwnContentItems(itemType) {
+  return (server, prefix) => {
+    if (!server.userContext) return { values: [], hasMore: false };
+    const creators = accessibleCreators(server.userContext);
+    return completeContentItems(itemType, '_id', prefix, creators ? { creator: { $in: creators } } : {});
+  };
+}
+
+// Completion sources: (server, prefix) => { values, hasMore }
+const SOURCES = {
+  category: (server, prefix) => completeContentItems('category', '_id', prefix),
+  exercise: (server, prefix) => completeContentItems('exercise', '_id', prefix),
+  exercise_slug: (server, prefix) => completeContentItems('exercise', 'slug', prefix),
+  workout: completeOwnContentItems('workouts'),
+  program: completeOwnContentItems('workout-program')
+};
+
+function completeEnum(values, prefix) {
+  const lower = prefix.toLowerCase();
+  const matches = values.map(String).filter(value => value.toLowerCase().startsWith(lower));
+  return { values: matches, total: matches.length, hasMore: false };
+}
+
+// The prompt argument or template variable a completion/complete ref points
+// at, as { prompt or template, source, values }
+function resolveCompletionTarget(ref, argumentName) {
+  if (ref?.type === 'ref/prompt') {
+    const prompt = getPrompt(ref.name);
+    if (!prompt) {
+      throw new InvalidParamsError(`Unknown prompt: ${ref.name}`, [`ref.name: no prompt named ${ref.name}`]);
+    }
+
+    const argument = prompt.arguments.find(candidate => candidate.name === argumentName);
+    if (!argument) {
+      throw new InvalidParamsError(`Unknown argument: ${argumentName}`, [`argument.name: prompt ${prompt.name} has no argument ${argumentName}`]);
+    }
+    return { prompt, source: argument.completion, values: argument.schema?.enum };
+  }
+
+  if (ref?.type === 'ref/resource') {
+    const template = getAllResourceTemplates().find(candidate => candidate.uriTemplate === ref.uri);
+    if (!template) {
+      throw new InvalidParamsError(`Unknown resource template: ${ref.uri}`, [`ref.uri: no resource template ${ref.uri}`]);
+    }
+
+    if (!template.uriTemplate.includes(`{${argumentName}}`)) {
+      throw new InvalidParamsError(`Unknown argument: ${argumentName}`, [`argument.name: template ${template.uriTemplate} has no variable ${argumentName}`]);
+    }
+    return { template, source: template.completions?.[argumentName] };
+  }
+
+  throw new InvalidParamsError(`Unknown ref type: ${ref?.type}`, ['ref.type: must be ref/prompt or ref/resource']);
+}
+
+// completion/complete result for a resolved target and the value typed so far
+async function complete(server, target, prefix = '') {
+  let completion = { values: [], hasMore: false };
+
+  if (target.values) {
+    completion = completeEnum(target.values, prefix);
+  } else if (target.source) {
+    completion = await SOURCES[target.source](server, prefix);
+  }
+
+  return { completion };
+}
+
+module.exports = {
+  MAX_COMPLETION_VALUES,
+  resolveCompletionTarget,
+  complete
+};
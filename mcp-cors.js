@@ -0,0 +1,113 @@
+// Origin allowlist and CORS headers for the MCP endpoint
+
+const DEFAULT_ALLOWED_ORIGINS = 'https://claude.ai';
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const ALLOWED_HEADERS = 'Content-Type, Accept, Origin, Authorization, X-API-Key, X-Act-As-User, Mcp-Session-Id, MCP-Protocol-Version, Last-Event-ID';
+const ALLOWED_METHODS = 'GET, POST, DELETE, OPTIONS';
+// Response headers browser clients need to read for sessions, auth discovery and backoff
+const EXPOSED_HEADERS = 'Mcp-Session-Id, WWW-Authenticate, Retry-After';
+
+// Parse an origin into comparable parts, or null if it isn't a valid
+// http(s) origin. Default ports are normalised away by URL.
+function parseOrigin(origin) {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (error) {
+    return null;
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return null;
+  }
+
+  return { protocol: url.protocol, hostname: url.hostname.toLowerCase(), port: url.port };
+}
+
+// Compile one allowlist entry. `https://*.example.com` matches any subdomain
+// of example.com (but not example.com itself) over https on the default port.
+function compilePattern(pattern) {
+  const wildcard = pattern.includes('://*.');
+  const parsed = parseOrigin(wildcard ? pattern.replace('://*.', '://') : pattern);
+
+  if (!parsed) {
+    console.warn(`Ignoring invalid allowed origin pattern: ${pattern}`);
+    return null;
+  }
+
+  return { ...parsed, wildcard };
+}
+
+function matchesPattern(origin, pattern) {
+  if (origin.protocol !== pattern.protocol || origin.port !== pattern.port) {
+    return false;
+  }
+
+  if (pattern.wildcard) {
+    return origin.hostname.endsWith(`.${pattern.hostname}`);
+  }
+
+  return origin.hostname === pattern.hostname;
+}
+
+// Read the allowlist from the environment on every call so config changes in
+// serverless-offline apply without reloading the module
+function getOriginConfig() {
+  const patterns = (process.env.MCP_ALLOWED_ORIGINS ?? DEFAULT_ALLOWED_ORIGINS)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(compilePattern)
+    .filter(Boolean);
+
+  return {
+    patterns,
+    devMode: process.env.MCP_DEV_MODE === 'true'
+  };
+}
+
+// Security: validate the Origin header to prevent DNS rebinding attacks.
+// Requests without an Origin header (MCP clients, CLI tools) are allowed.
+function isOriginAllowed(origin) {
+  if (!origin) {
+    return true;
+  }
+
+  const parsed = parseOrigin(origin);
+  if (!parsed) {
+    return false;
+  }
+
+  const config = getOriginConfig();
+
+  // Loopback origins on any port, only in dev mode
+  if (config.devMode && LOOPBACK_HOSTS.includes(parsed.hostname)) {
+    return true;
+  }
+
+  return config.patterns.some(pattern => matchesPattern(parsed, pattern));
+}
+
+// CORS headers echoing an already validated origin. Without an Origin header
+// there is no browser involved and no Allow-Origin header is needed.
+function corsHeaders(origin) {
+  const headers = {
+    'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+    'Access-Control-Allow-Methods': ALLOWED_METHODS
+  };
+
+  if (origin) {
+    headers['Access-Control-Allow-Origin'] = origin;
+    headers['Access-Control-Expose-Headers'] = EXPOSED_HEADERS;
+    headers['Vary'] = 'Origin';
+  }
+
+  return headers;
+}
+
+module.exports = {
+  isOriginAllowed,
+  corsHeaders,
+  getOriginConfig
+};
@@ -0,0 +1,62 @@
+const { validateSchema } = require('./mcp-schema');
+
+// Elicitation of fitness profile fields that age, BMI and BMR depend on. When
+// any are missing, get_user_fitness_profile asks clients that support
+// elicitation for them (see mcp-client-requests.js for the request flow).
+
+// Anything other than male or female gets the average of both BMR formulas
+// (see calculateBMR), so nobody has to decline to get their metrics
+const GENDERS = ['male', 'female', 'other', 'prefer_not_to_say'];
+
+// Elicitation schemas only allow flat objects of primitive properties
+const PROFILE_FIELDS = {
+  height: { type: 'number', title: 'Height', description: 'Your height in cm', minimum: 50, maximum: 272 },
+  date_of_birth: { type: 'string', format: 'date', title: 'Date of birth', description: 'YYYY-MM-DD' },
+  gender: { type: 'string', title: 'Gender', description: 'Used for the BMR formula', enum: GENDERS, enumNames: ['Male', 'Female', 'Other', 'Prefer not to say'] }
+};
+
+// Profile fields that stop the metrics from being computed
+function missingProfileFields(profile) {
+  const missing = [];
+  if (!profile.height) missing.push('height');
+  if (!(profile.date_of_birth || profile.dateOfBirth || profile.birth_date)) missing.push('date_of_birth');
+  if (!profile.gender) missing.push('gender');
+  return missing;
+}
+
+// elicitation/create params asking for `fields`
+function buildProfileElicitation(fields) {
+  return {
+    message: 'Your fitness profile is missing some details needed to work out your age, BMI and BMR. Add them now?',
+    requestedSchema: {
+      type: 'object',
+      properties: Object.fromEntries(fields.map(field => [field, PROFILE_FIELDS[field]])),
+      required: fields
+    }
+  };
+}
+
+// Check accepted elicitation content against the fields that were asked for.
+// Returns { values, errors }; values only holds requested fields.
+function validateProfileAnswers(fields, content = {}) {
+  const { requestedSchema } = buildProfileElicitation(fields);
+  const values = {};
+  for (const field of fields) {
+    if (content[field] !== undefined) values[field] = content[field];
+  }
+
+  const errors = validateSchema(requestedSchema, values, 'content');
+  if (typeof values.date_of_birth === 'string' &&
+      (!/^\d{4}-\d{2}-\d{2}$/.test(values.date_of_birth) || Number.isNaN(Date.parse(values.date_of_birth)) || new Date(values.date_of_birth) > new Date())) {
+    errors.push('content.date_of_birth: must be a past date in YYYY-MM-DD format');
+  }
+
+  return { values, errors };
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  missingProfileFields,
+  buildProfileElicitation,
+  validateProfileAnswers
+};
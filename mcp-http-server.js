@@ -0,0 +1,308 @@
+const http = require('http');
+const { v4: uuidv4 } = require('uuid');
+const {
+  handlePost,
+  mcpGet,
+  mcpDelete,
+  mcpOptions,
+  mcpProtectedResourceMetadata,
+  formatSSEEvent
+} = require('./mcp-streamable-handler');
+const { corsHeaders } = require('./mcp-cors');
+const { SESSION_HEADER } = require('./mcp-sessions');
+const { METADATA_PATH } = require('./mcp-oauth');
+const { waitForClientResponse } = require('./mcp-client-requests');
+
+// Self-hosted MCP server on Node's http module, for containers and local
+// development without serverless-offline. Requests go through the same
+// handlers as the Lambda functions, but streams stay open:
+//   - POST responses stream notifications as they happen, then the response
+//   - GET streams stay open, with heartbeats, for server-initiated messages
+//   - server requests (elicitation/create) go out on the stream of the request
+//     that needs the answer, or a GET stream of its session, and the tool
+//     call waits for the client to POST the answer back
+// Open streams and waiting server requests are tracked in memory, so a
+// session's requests must all reach the same instance.
+
+const PORT = parseInt(process.env.PORT || '3001', 10);
+const HEARTBEAT_MS = parseInt(process.env.MCP_SSE_HEARTBEAT_SECONDS || '15', 10) * 1000;
+// Same limit as a Lambda request payload
+const MAX_BODY_BYTES = 6 * 1024 * 1024;
+
+// An open SSE response. Headers are written on the first message.
+class SseStream {
+  constructor(res, headers) {
+    this.res = res;
+    this.headers = headers;
+    this.opened = false;
+    this.closed = false;
+    this.heartbeat = null;
+    res.on('close', () => this.close());
+  }
+
+  open() {
+    if (this.opened || this.closed) return;
+    this.opened = true;
+    this.res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      ...this.headers
+    });
+    // SSE comments keep proxies from timing out idle streams
+    this.heartbeat = setInterval(() => this.res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  }
+
+  write(chunk) {
+    if (this.closed) return false;
+    this.open();
+    this.res.write(chunk);
+    return true;
+  }
+
+  send(message, event = 'message') {
+    return this.write(formatSSEEvent(message, event, message.method ? message.id : null));
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    clearInterval(this.heartbeat);
+    this.res.end();
+  }
+}
+
+// Open GET streams by session ID
+const sessionStreams = new Map();
+
+function addSessionStream(sessionId, stream) {
+  if (!sessionStreams.has(sessionId)) sessionStreams.set(sessionId, new Set());
+  sessionStreams.get(sessionId).add(stream);
+  stream.res.on('close', () => {
+    const streams = sessionStreams.get(sessionId);
+    if (!streams) return;
+    streams.delete(stream);
+    if (streams.size === 0) sessionStreams.delete(sessionId);
+  });
+}
+
+function closeSessionStreams(sessionId) {
+  for (const stream of sessionStreams.get(sessionId) || []) {
+    stream.close();
+  }
+  sessionStreams.delete(sessionId);
+}
+
+function firstOpenStream(sessionId) {
+  return [...(sessionStreams.get(sessionId) || [])].find(stream => !stream.closed) || null;
+}
+
+// Send a server request and resolve with the client's result
+async function requestClient(sessionId, stream, method, params) {
+  const target = stream && !stream.closed ? stream : firstOpenStream(sessionId);
+  if (!target) {
+    throw new Error(`No open stream to send ${method} on`);
+  }
+
+  const id = uuidv4();
+  const answer = waitForClientResponse(sessionId, id);
+  target.send({ jsonrpc: '2.0', id, method, params });
+  console.log(`Sent ${method} ${id} to session ${sessionId}`);
+
+  const message = await answer;
+  if (message.error) {
+    throw new Error(`Client rejected ${method}: ${message.error.message}`);
+  }
+  return message.result;
+}
+
+// The parts of an API Gateway (httpApi) event the handlers read
+function toLambdaEvent(req, url, body) {
+  return {
+    httpMethod: req.method,
+    path: url.pathname,
+    rawPath: url.pathname,
+    headers: req.headers,
+    queryStringParameters: Object.fromEntries(url.searchParams),
+    body,
+    isBase64Encoded: false,
+    requestContext: { http: { method: req.method, path: url.pathname } }
+  };
+}
+
+function sendResponse(res, response) {
+  res.writeHead(response.statusCode, response.headers || {});
+  res.end(response.body || '');
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// POST: the handler runs with a connection that streams notifications and
+// server requests on this response as they happen
+async function servePost(req, res, event) {
+  let stream = null;
+
+  const connection = {
+    serverOptions(session, { sse }) {
+      if (sse) {
+        stream = new SseStream(res, { ...corsHeaders(req.headers.origin), [SESSION_HEADER]: session._id });
+      }
+
+      const options = {};
+      if (stream) {
+        options.sendNotification = async (method, params) => {
+          stream.send({ jsonrpc: '2.0', method, params });
+        };
+      }
+      if (stream || firstOpenStream(session._id)) {
+        options.sendRequest = (method, params) => requestClient(session._id, stream, method, params);
+      }
+      return options;
+    }
+  };
+
+  const response = await handlePost(event, connection);
+  if (!stream || !stream.opened) {
+    sendResponse(res, response);
+    return;
+  }
+
+  // Messages already went out on the stream, so finish it with the response.
+  // Errors (429, 500) can't change the status any more and go out as events.
+  const contentType = response.headers?.['Content-Type'] || '';
+  if (contentType.startsWith('text/event-stream')) {
+    stream.write(response.body || '');
+  } else if (response.statusCode !== 202) {
+    stream.send(toStreamMessage(response, event.body));
+  }
+  stream.close();
+}
+
+// A JSON handler response as the JSON-RPC message that ends a stream. Errors
+// answer the POSTed request, so the client doesn't wait for a response that
+// never comes.
+function toStreamMessage(response, requestBody) {
+  let requestId = null;
+  let message = null;
+  try {
+    requestId = JSON.parse(requestBody).id ?? null;
+    message = JSON.parse(response.body);
+  } catch (error) {
+    console.log('Handler response is not JSON:', error.message);
+  }
+
+  if (message?.jsonrpc) {
+    return { ...message, id: message.id ?? requestId };
+  }
+  return {
+    jsonrpc: '2.0',
+    id: requestId,
+    error: { code: -32603, message: 'Internal error', data: message?.error || `HTTP ${response.statusCode}` }
+  };
+}
+
+// GET: keep a successful stream open and register it with its session
+async function serveGet(req, res, event) {
+  const response = await mcpGet(event);
+  const sessionId = response.headers?.[SESSION_HEADER];
+  if (response.statusCode !== 200 || !sessionId) {
+    sendResponse(res, response);
+    return;
+  }
+
+  const { 'Content-Type': contentType, ...headers } = response.headers;
+  const stream = new SseStream(res, headers);
+  stream.write(response.body || '');
+  addSessionStream(sessionId, stream);
+  console.log(`GET stream opened for session ${sessionId}`);
+}
+
+async function serveDelete(req, res, event) {
+  const response = await mcpDelete(event);
+  if (response.statusCode === 204) {
+    closeSessionStreams(event.headers[SESSION_HEADER.toLowerCase()]);
+  }
+  sendResponse(res, response);
+}
+
+async function route(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (url.pathname === METADATA_PATH && req.method === 'GET') {
+    return sendResponse(res, await mcpProtectedResourceMetadata(toLambdaEvent(req, url, null)));
+  }
+
+  if (url.pathname !== '/mcp') {
+    return sendResponse(res, { statusCode: 404, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ error: 'Not found' }) });
+  }
+
+  switch (req.method) {
+    case 'POST':
+      return await servePost(req, res, toLambdaEvent(req, url, await readBody(req)));
+    case 'GET':
+      return await serveGet(req, res, toLambdaEvent(req, url, null));
+    case 'DELETE':
+      return await serveDelete(req, res, toLambdaEvent(req, url, null));
+    case 'OPTIONS':
+      return sendResponse(res, await mcpOptions(toLambdaEvent(req, url, null)));
+    default:
+      return sendResponse(res, {
+        statusCode: 405,
+        headers: { 'Content-Type': 'application/json', 'Allow': 'GET, POST, DELETE, OPTIONS' },
+        body: JSON.stringify({ error: 'Method Not Allowed' })
+      });
+  }
+}
+
+function createServer() {
+  return http.createServer((req, res) => {
+    route(req, res).catch(error => {
+      console.error('MCP HTTP server error:', error);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      sendResponse(res, {
+        statusCode: error.statusCode || 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: error.statusCode ? error.message : 'Internal server error' })
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const server = createServer();
+  server.listen(PORT, () => {
+    console.log(`Exercise MCP HTTP server listening on port ${PORT}`);
+  });
+
+  // Containers stop with SIGTERM; end open streams so the server can close
+  const shutdown = () => {
+    console.log('Shutting down MCP HTTP server');
+    for (const sessionId of [...sessionStreams.keys()]) {
+      closeSessionStreams(sessionId);
+    }
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+module.exports = { createServer };
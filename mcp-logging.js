@@ -0,0 +1,35 @@
+const { InvalidParamsError } = require('./mcp-schema');
+
+// MCP logging levels (RFC 5424 severities), least severe first. A session
+// receives notifications/message for events at or above the level it set with
+// logging/setLevel; sessions that never set one receive none.
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+const LOGGER_NAME = 'ms-exercise-mcp';
+
+function isValidLogLevel(level) {
+  return LOG_LEVELS.includes(level);
+}
+
+function assertValidLogLevel(level) {
+  if (!isValidLogLevel(level)) {
+    throw new InvalidParamsError(
+      `Invalid log level: ${level}`,
+      [`params.level: must be one of ${LOG_LEVELS.join(', ')}`]
+    );
+  }
+}
+
+// Whether an event at `level` should reach a client whose threshold is `threshold`
+function shouldNotify(level, threshold) {
+  if (!threshold) return false;
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOGGER_NAME,
+  isValidLogLevel,
+  assertValidLogLevel,
+  shouldNotify
+};
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+// Collections owned by the MCP server itself. Content and profiles live in
+// @baseplay/models; these only hold transport and security state.
+
+// Reuse compiled models across warm Lambda invocations and hot reloads
+function defineModel(name, schema, collection) {
+  return mongoose.models[name] || mongoose.model(name, schema, collection);
+}
+
+// Token bucket per user and tool, see mcp-rate-limiter.js
+const rateLimitBucketSchema = new mongoose.Schema({
+  _id: { type: String },
+  tokens: { type: Number, required: true },
+  capacity: { type: Number, required: true },
+  allowed: { type: Boolean },
+  updated_at: { type: Date, required: true }
+}, { versionKey: false });
+
+// Drop buckets nobody has touched for a day; they would be full again anyway
+rateLimitBucketSchema.index({ updated_at: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const McpRateLimitBucket = defineModel('McpRateLimitBucket', rateLimitBucketSchema, 'mcp_rate_limit_buckets');
+
+// One entry per mutating tool call, see mcp-audit-log.js
+const auditLogSchema = new mongoose.Schema({
+  _id: { type: String },
+  user_id: { type: String, required: true, index: true },
+  token_subject: { type: String, default: null },
+  origin: { type: String, default: null },
+  tool: { type: String, required: true },
+  arguments_hash: { type: String, required: true },
+  created_ids: { type: [String], default: [] },
+  outcome: { type: String, enum: ['success', 'error', 'forbidden', 'rate_limited', 'cancelled'], required: true },
+  error: { type: String, default: null },
+  duration_ms: { type: Number, required: true },
+  created_at: { type: Date, required: true, index: true }
+}, { versionKey: false });
+
+auditLogSchema.index({ user_id: 1, created_at: -1 });
+
+// The audit log is append-only: refuse updates and deletes through the model
+const refuseAuditMutation = function () {
+  throw new Error('The MCP audit log is append-only');
+};
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  refuseAuditMutation
+);
+
+const McpAuditLog = defineModel('McpAuditLog', auditLogSchema, 'mcp_audit_log');
+
+// Hashed API keys for server-to-server callers, see mcp-api-keys.js
+const apiKeySchema = new mongoose.Schema({
+  _id: { type: String },
+  key_hash: { type: String, required: true, unique: true },
+  key_prefix: { type: String, required: true },
+  name: { type: String, required: true },
+  service_id: { type: String, required: true, index: true },
+  scopes: { type: [String], default: [] },
+  roles: { type: [String], default: [] },
+  can_act_as_user: { type: Boolean, default: false },
+  expires_at: { type: Date, default: null },
+  revoked_at: { type: Date, default: null },
+  last_used_at: { type: Date, default: null },
+  rotated_from: { type: String, default: null },
+  replaced_by: { type: String, default: null },
+  created_at: { type: Date, required: true }
+}, { versionKey: false });
+
+const McpApiKey = defineModel('McpApiKey', apiKeySchema, 'mcp_api_keys');
+
+// MCP sessions minted by initialize, see mcp-sessions.js
+const sessionSchema = new mongoose.Schema({
+  _id: { type: String },
+  user_id: { type: String, required: true, index: true },
+  protocol_version: { type: String, required: true },
+  client_info: { type: mongoose.Schema.Types.Mixed, default: null },
+  client_capabilities: { type: mongoose.Schema.Types.Mixed, default: {} },
+  server_capabilities: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Minimum level for notifications/message, set by logging/setLevel
+  log_level: { type: String, default: null },
+  created_at: { type: Date, required: true },
+  last_seen_at: { type: Date, required: true },
+  expires_at: { type: Date, required: true }
+}, { versionKey: false, minimize: false });
+
+// MongoDB removes sessions shortly after they expire
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const McpSession = defineModel('McpSession', sessionSchema, 'mcp_sessions');
+
+// Requests being processed, so a cancellation handled by another Lambda
+// instance can reach them, see mcp-cancellation.js
+const inflightRequestSchema = new mongoose.Schema({
+  _id: { type: String },
+  session_id: { type: String, required: true },
+  request_id: { type: mongoose.Schema.Types.Mixed, required: true },
+  started_at: { type: Date, required: true },
+  cancelled_at: { type: Date, default: null },
+  reason: { type: String, default: null },
+  expires_at: { type: Date, required: true }
+}, { versionKey: false });
+
+// Entries outlive their request only if the Lambda died mid-request
+inflightRequestSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const McpInflightRequest = defineModel('McpInflightRequest', inflightRequestSchema, 'mcp_inflight_requests');
+
+// Requests the server sent to a client (such as elicitation/create) and the
+// client's answer, see mcp-client-requests.js. The answer usually arrives in
+// a different Lambda invocation, which resumes the request that asked.
+const clientRequestSchema = new mongoose.Schema({
+  _id: { type: String },
+  session_id: { type: String, required: true },
+  user_id: { type: String, required: true },
+  method: { type: String, required: true },
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+  purpose: { type: String, enum: ['fitness_profile'], required: true },
+  // The client request whose response waits on the answer
+  original_request_id: { type: mongoose.Schema.Types.Mixed, required: true },
+  original_params: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: ['pending', 'answered', 'completed'], default: 'pending' },
+  // Messages replayed to a GET stream resuming after this request's event
+  messages: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  created_at: { type: Date, required: true },
+  expires_at: { type: Date, required: true }
+}, { versionKey: false, minimize: false });
+
+clientRequestSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const McpClientRequest = defineModel('McpClientRequest', clientRequestSchema, 'mcp_client_requests');
+
+module.exports = {
+  McpRateLimitBucket,
+  McpAuditLog,
+  McpApiKey,
+  McpSession,
+  McpInflightRequest,
+  McpClientRequest
+};
@@ -0,0 +1,103 @@
+const { getAllTools } = require('./mcp-tools');
+
+// OAuth 2.0 Protected Resource Metadata (RFC 9728) and Bearer challenges
+// (RFC 6750), as required by the MCP authorization spec
+
+const METADATA_PATH = '/.well-known/oauth-protected-resource';
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Checked once per cold start, see getBaseUrl
+if (!process.env.MCP_BASE_URL && process.env.MCP_DEV_MODE !== 'true') {
+  console.warn('MCP_BASE_URL is not set: 401s go out without resource_metadata and the metadata endpoint answers 404');
+}
+
+// Public URL of this deployment, from MCP_BASE_URL. Host and
+// X-Forwarded-Proto are set by the caller, so they are only trusted in dev
+// mode (serverless-offline, mcp-http-server.js); anywhere else there is no
+// base URL without MCP_BASE_URL, and this returns null.
+function getBaseUrl(event) {
+  if (process.env.MCP_BASE_URL) {
+    return process.env.MCP_BASE_URL.replace(/\/+$/, '');
+  }
+
+  if (process.env.MCP_DEV_MODE !== 'true') {
+    return null;
+  }
+
+  const headers = event?.headers || {};
+  const host = headers.host || headers.Host || event?.requestContext?.domainName || 'localhost';
+  const hostname = host.replace(/:\d+$/, '');
+  const protocol = headers['x-forwarded-proto'] || headers['X-Forwarded-Proto']
+    || (LOOPBACK_HOSTS.includes(hostname) ? 'http' : 'https');
+
+  return `${protocol}://${host}`;
+}
+
+function getResourceMetadataUrl(event) {
+  const baseUrl = getBaseUrl(event);
+  return baseUrl ? `${baseUrl}${METADATA_PATH}` : null;
+}
+
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Build the metadata document, or null when there is no resource URL to
+// publish. Scopes default to every scope a tool can require, plus admin.
+function buildResourceMetadata(event) {
+  const baseUrl = getBaseUrl(event);
+  if (!process.env.MCP_RESOURCE_URL && !baseUrl) {
+    return null;
+  }
+
+  const configuredScopes = splitList(process.env.OAUTH_SCOPES_SUPPORTED);
+  const toolScopes = [...new Set(getAllTools().flatMap(tool => tool.scopes))];
+
+  const metadata = {
+    resource: process.env.MCP_RESOURCE_URL || `${baseUrl}/mcp`,
+    authorization_servers: splitList(process.env.OAUTH_AUTHORIZATION_SERVERS),
+    scopes_supported: configuredScopes.length > 0 ? configuredScopes : [...toolScopes, 'admin'],
+    bearer_methods_supported: ['header'],
+    resource_name: process.env.MCP_RESOURCE_NAME || 'Exercise MCP Server'
+  };
+
+  if (process.env.MCP_RESOURCE_DOCUMENTATION) {
+    metadata.resource_documentation = process.env.MCP_RESOURCE_DOCUMENTATION;
+  }
+
+  return metadata;
+}
+
+// Quote a value for use in an auth-param
+function quote(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+// WWW-Authenticate value for a 401. A missing token gets a bare challenge;
+// a rejected token also carries error="invalid_token" (RFC 6750 section 3.1).
+// resource_metadata is left out when no base URL is configured.
+function buildBearerChallenge(event, error = null) {
+  const params = [];
+  const metadataUrl = getResourceMetadataUrl(event);
+  if (metadataUrl) {
+    params.push(`resource_metadata=${quote(metadataUrl)}`);
+  }
+
+  if (error && error.reason !== 'missing_token') {
+    params.push(`error=${quote('invalid_token')}`);
+    params.push(`error_description=${quote(error.title)}`);
+  }
+
+  return params.length > 0 ? `Bearer ${params.join(', ')}` : 'Bearer';
+}
+
+module.exports = {
+  METADATA_PATH,
+  getBaseUrl,
+  getResourceMetadataUrl,
+  buildResourceMetadata,
+  buildBearerChallenge
+};
@@ -0,0 +1,70 @@
+const { InvalidParamsError } = require('./mcp-schema');
+
+// Cursor-based pagination following the MCP convention: requests carry an
+// optional opaque `cursor`, results carry `nextCursor` while more items remain.
+// Pages are ordered by `_id` and a cursor records the last `_id` served, so
+// documents inserted or deleted between pages never shift the pages after.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Bump when the cursor payload changes so old cursors are rejected cleanly
+const CURSOR_VERSION = 1;
+
+function encodeCursor(lastId) {
+  return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, after: lastId })).toString('base64url');
+}
+
+// The `_id` to continue after, or null for the first page. `path` names the
+// parameter in the error clients get for a cursor we didn't issue.
+function decodeCursor(cursor, path = 'cursor') {
+  if (cursor === undefined || cursor === null) return null;
+
+  let payload = null;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    // Falls through to the error below
+  }
+
+  if (!payload || payload.v !== CURSOR_VERSION || typeof payload.after !== 'string') {
+    throw new InvalidParamsError(`Invalid cursor: ${cursor}`, [`${path}: is not a cursor issued by this server`]);
+  }
+
+  return payload.after;
+}
+
+function resolvePageSize(pageSize) {
+  return pageSize === undefined ? DEFAULT_PAGE_SIZE : pageSize;
+}
+
+// Aggregation stages selecting one page of documents after `after`. They fetch
+// one extra document so pageResult can tell whether another page follows.
+function pageStages(after, pageSize) {
+  return [
+    ...(after === null ? [] : [{ $match: { _id: { $gt: after } } }]),
+    { $sort: { _id: 1 } },
+    { $limit: pageSize + 1 }
+  ];
+}
+
+// Trim the extra document fetched by pageStages and derive nextCursor from
+// the last document kept
+function pageResult(documents, pageSize) {
+  if (documents.length <= pageSize) {
+    return { items: documents, nextCursor: null };
+  }
+
+  const items = documents.slice(0, pageSize);
+  return { items, nextCursor: encodeCursor(items[items.length - 1]._id) };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  resolvePageSize,
+  pageStages,
+  pageResult
+};
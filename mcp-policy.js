@@ -0,0 +1,206 @@
+const { getTool } = require('./mcp-tools');
+const { getPrompt } = require('./mcp-prompts');
+
+// Scope- and role-based authorization for MCP tools, prompts and resources.
+// The scopes each one requires are declared in its registry (mcp-tools.js,
+// mcp-prompts.js, mcp-resources.js).
+// Read-only tokens are also held to the tools' readOnlyHint annotations.
+
+const FORBIDDEN_ERROR_CODE = -32003;
+
+// Roles expand to the scopes they grant. '*' grants everything.
+const ROLE_SCOPES = {
+  admin: ['*']
+};
+
+// Scopes granted to tokens that carry no scope claim at all, e.g. regular app
+// user tokens. Partner tokens should always carry an explicit scope claim.
+const DEFAULT_SCOPES = 'profile:read exercises:read programs:write';
+
+class ForbiddenError extends Error {
+  constructor(message, missingScopes = []) {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.code = FORBIDDEN_ERROR_CODE;
+    this.missingScopes = missingScopes;
+    this.data = { missing_scopes: missingScopes };
+  }
+}
+
+// Normalise a claim that may be a space-separated string or an array
+function toList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(String);
+  return String(value).split(/[\s,]+/).filter(Boolean);
+}
+
+// Read scopes and roles from a decoded JWT. Supports the OAuth `scope` string
+// as well as `scp`/`scopes` arrays, and `roles`/`role` at the top level or
+// under `user`.
+function resolvePermissions(decoded = {}) {
+  const roles = [...new Set([
+    ...toList(decoded.roles),
+    ...toList(decoded.role),
+    ...toList(decoded.user?.roles),
+    ...toList(decoded.user?.role)
+  ])];
+
+  const hasScopeClaim = ['scope', 'scp', 'scopes'].some(claim => decoded[claim] !== undefined);
+  const scopes = hasScopeClaim
+    ? [...toList(decoded.scope), ...toList(decoded.scp), ...toList(decoded.scopes)]
+    : toList(process.env.MCP_DEFAULT_SCOPES ?? DEFAULT_SCOPES);
+
+  // The `admin` scope is treated the same as the admin role
+  if (scopes.includes('admin') && !roles.includes('admin')) {
+    roles.push('admin');
+  }
+
+  for (const role of roles) {
+    scopes.push(...(ROLE_SCOPES[role] || []));
+  }
+
+  // Coaches may attribute content to the users listed in this claim
+  const delegatedCreators = toList(decoded.delegated_creators);
+
+  return { scopes: [...new Set(scopes)], roles, delegatedCreators };
+}
+
+function hasScope(userContext, scope) {
+  const scopes = userContext?.scopes || [];
+  return scopes.includes('*') || scopes.includes(scope);
+}
+
+// A token is read-only when none of its scopes grants writes, i.e. it has no
+// '*' and no '<resource>:write' scope
+function isReadOnlyToken(userContext) {
+  const scopes = userContext?.scopes || [];
+  return !scopes.some(scope => scope === '*' || scope.endsWith(':write'));
+}
+
+// Whether a tool's annotations clash with the caller's token: read-only tokens
+// may only run tools that declare readOnlyHint: true. This holds even if a
+// tool's scopes were mistakenly declared as read scopes.
+function conflictsWithReadOnlyToken(userContext, toolName) {
+  const tool = getTool(toolName);
+  return Boolean(tool) && tool.annotations.readOnlyHint !== true && isReadOnlyToken(userContext);
+}
+
+// Scopes the caller is missing for a tool; empty when the call is allowed.
+// Unknown tools need no scopes here; handleToolCall rejects them first.
+function getMissingScopes(userContext, toolName) {
+  const required = getTool(toolName)?.scopes || [];
+  return required.filter(scope => !hasScope(userContext, scope));
+}
+
+function getMissingPromptScopes(userContext, promptName) {
+  const required = getPrompt(promptName)?.scopes || [];
+  return required.filter(scope => !hasScope(userContext, scope));
+}
+
+function isToolAllowed(userContext, toolName) {
+  return getMissingScopes(userContext, toolName).length === 0 && !conflictsWithReadOnlyToken(userContext, toolName);
+}
+
+function assertToolAllowed(userContext, toolName) {
+  const missing = getMissingScopes(userContext, toolName);
+  if (missing.length > 0) {
+    throw new ForbiddenError(
+      `Insufficient scope for tool ${toolName}: missing ${missing.join(', ')}`,
+      missing
+    );
+  }
+
+  if (conflictsWithReadOnlyToken(userContext, toolName)) {
+    throw new ForbiddenError(`Tool ${toolName} is not read-only and cannot be called with a read-only token`);
+  }
+}
+
+function isPromptAllowed(userContext, promptName) {
+  return getMissingPromptScopes(userContext, promptName).length === 0;
+}
+
+function assertPromptAllowed(userContext, promptName) {
+  const missing = getMissingPromptScopes(userContext, promptName);
+  if (missing.length > 0) {
+    throw new ForbiddenError(
+      `Insufficient scope for prompt ${promptName}: missing ${missing.join(', ')}`,
+      missing
+    );
+  }
+}
+
+// Scopes the caller is missing for a resource or resource template entry
+function getMissingResourceScopes(userContext, entry) {
+  return (entry.scopes || []).filter(scope => !hasScope(userContext, scope));
+}
+
+function isResourceAllowed(userContext, entry) {
+  return getMissingResourceScopes(userContext, entry).length === 0;
+}
+
+function assertResourceAllowed(userContext, entry) {
+  const missing = getMissingResourceScopes(userContext, entry);
+  if (missing.length > 0) {
+    throw new ForbiddenError(
+      `Insufficient scope for resource ${entry.uri || entry.uriTemplate}: missing ${missing.join(', ')}`,
+      missing
+    );
+  }
+}
+
+// Decide who created content is attributed to. Only admins and coaches
+// delegated by the target user may set a creator other than themselves.
+function resolveCreator(userContext, requestedCreator) {
+  const userId = userContext.userId;
+
+  if (!requestedCreator || requestedCreator === userId) {
+    return { creator: userId, override: null };
+  }
+
+  if (userContext.roles?.includes('admin')) {
+    return { creator: requestedCreator, override: { by: userId, via: 'admin' } };
+  }
+
+  if ((userContext.delegatedCreators || []).includes(requestedCreator)) {
+    return { creator: requestedCreator, override: { by: userId, via: 'delegated_coach' } };
+  }
+
+  throw new ForbiddenError(
+    `User ${userId} may not create content on behalf of ${requestedCreator}`,
+    ['admin']
+  );
+}
+
+// Creators whose content the caller may see: their own and delegating
+// users'. Null means anyone's (admins).
+function accessibleCreators(userContext) {
+  if (userContext.roles?.includes('admin')) return null;
+  return [userContext.userId, ...(userContext.delegatedCreators || [])];
+}
+
+// Whether the caller may see content attributed to this creator
+function canAccessCreatorContent(userContext, creator) {
+  if (!userContext) return false;
+  const creators = accessibleCreators(userContext);
+  return creators === null || creators.includes(creator);
+}
+
+module.exports = {
+  ForbiddenError,
+  FORBIDDEN_ERROR_CODE,
+  ROLE_SCOPES,
+  resolvePermissions,
+  hasScope,
+  getMissingScopes,
+  isReadOnlyToken,
+  conflictsWithReadOnlyToken,
+  isToolAllowed,
+  assertToolAllowed,
+  isPromptAllowed,
+  assertPromptAllowed,
+  isResourceAllowed,
+  assertResourceAllowed,
+  resolveCreator,
+  accessibleCreators,
+  canAccessCreatorContent
+};
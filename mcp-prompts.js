@@ -0,0 +1,224 @@
+const { InvalidParamsError, validateSchema } = require('./mcp-schema');
+const { LATEST_PROTOCOL_VERSION, supportsFeature } = require('./mcp-protocol');
+
+// Registry of MCP prompt templates, the prompts/list and prompts/get
+// counterpart of mcp-tools.js. Each template embeds live context (the user's
+// fitness profile and exercise data) so assistants start from the same facts
+// every time. Exercise lists are capped at CATALOG_PAGE_SIZE; the assistant
+// pages through the rest with list_all_exercises.
+//
+// Each entry declares:
+//   name, title, description - sent to clients in prompts/list
+//   arguments - name, description and required are sent to clients; schema
+//               validates the value (prompt arguments always arrive as strings,
+//               integer arguments are parsed first); completion names the
+//               completion/complete source (see mcp-completions.js)
+//   scopes    - scopes the caller needs (see mcp-policy.js)
+//   build     - (server, args) => prompts/get result
+
+const LOCATIONS = ['home', 'gym', 'outdoor'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const CATALOG_PAGE_SIZE = 50;
+
+function textMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+function resourceMessage(resource) {
+  return { role: 'user', content: { type: 'resource', resource } };
+}
+
+// The first page of the exercise catalog as an embedded resource, followed by
+// directions to the rest. The URI names the page; the whole catalog has no
+// resource of its own.
+async function catalogMessages(server) {
+  const { exercises, nextCursor } = await server.getExerciseCatalogPage(CATALOG_PAGE_SIZE);
+  const more = nextCursor
+    ? `More exercises are available: call list_all_exercises with cursor "${nextCursor}" to continue.`
+    : 'These are all the exercises available.';
+
+  return [
+    resourceMessage({
+      uri: `exercise://exercises?pageSize=${CATALOG_PAGE_SIZE}`,
+      mimeType: 'application/json',
+      text: JSON.stringify(exercises, null, 2)
+    }),
+    textMessage(`The exercise catalog above lists ${exercises.length} exercises. ${more}`)
+  ];
+}
+
+function notFound(argument, what) {
+  return new InvalidParamsError(`${what} not found`, [`arguments.${argument}: ${what} not found`]);
+}
+
+const PROMPTS = [
+  {
+    name: 'design_program_for_me',
+    title: 'Design a program for me',
+    description: 'Design a personalised workout program from your fitness profile and the exercise catalog',
+    scopes: ['profile:read', 'exercises:read'],
+    arguments: [
+      { name: 'weeks', description: 'Program length in weeks (1-52)', required: true, schema: { type: 'integer', minimum: 1, maximum: 52 } },
+      { name: 'days_per_week', description: 'Training days per week (1-7)', required: true, schema: { type: 'integer', minimum: 1, maximum: 7 } },
+      { name: 'location', description: `Where you train: ${LOCATIONS.join(', ')}`, required: true, schema: { type: 'string', enum: LOCATIONS } },
+      { name: 'difficulty', description: `Target difficulty: ${DIFFICULTIES.join(', ')}`, required: false, schema: { type: 'string', enum: DIFFICULTIES } },
+      { name: 'category', description: 'Category ID to file the program and its workouts under', required: false, schema: { type: 'string' }, completion: 'category' }
+    ],
+    build: async (server, { weeks, days_per_week, location, difficulty, category }) => {
+      const [profile, catalog] = await Promise.all([
+        server.getFitnessProfileResource(),
+        catalogMessages(server)
+      ]);
+
+      return {
+        description: `A ${weeks}-week, ${days_per_week}-day-per-week ${location} program`,
+        messages: [
+          resourceMessage(profile),
+          ...catalog,
+          textMessage([
+            `Design a ${weeks}-week workout program with ${days_per_week} training days per week that I can do at ${location === 'outdoor' ? 'an outdoor location' : `the ${location}`}.`,
+            '',
+            'Use my fitness profile above to pick a suitable difficulty, volume and goal focus, and respect any physical limitations it mentions.',
+            'Only use exercises from the exercise catalog, referring to them by their id.',
+            'Balance muscle groups across the week and progress the load gradually from week to week.',
+            ...(difficulty ? [`Pitch the program at ${difficulty} difficulty and record it in content_metadata.difficulty.`] : []),
+            ...(category ? [`Put the program and every workout in category ${category}.`] : []),
+            '',
+            'Explain the plan briefly, then save it with the create_workout_program tool.'
+          ].join('\n'))
+        ]
+      };
+    }
+  },
+  {
+    name: 'review_my_program',
+    title: 'Review my program',
+    description: 'Review one of your workout programs against your fitness profile and suggest improvements',
+    scopes: ['profile:read', 'exercises:read'],
+    arguments: [
+      { name: 'program_id', description: 'ID of the workout program to review', required: true, schema: { type: 'string' }, completion: 'program' }
+    ],
+    build: async (server, { program_id }) => {
+      const program = await server.getProgramResource(program_id);
+      if (!program) throw notFound('program_id', `Program ${program_id}`);
+
+      const [profile, catalog] = await Promise.all([
+        server.getFitnessProfileResource(),
+        catalogMessages(server)
+      ]);
+
+      return {
+        description: `Review of workout program ${program_id}`,
+        messages: [
+          resourceMessage(program),
+          resourceMessage(profile),
+          ...catalog,
+          textMessage([
+            'Review the workout program above against my fitness profile.',
+            '',
+            'Comment on whether its difficulty, volume, exercise selection and weekly balance suit my goal and fitness level, and flag anything that conflicts with my physical limitations.',
+            'Suggest concrete changes, using only exercises from the exercise catalog and referring to them by their id.'
+          ].join('\n'))
+        ]
+      };
+    }
+  },
+  {
+    name: 'explain_exercise',
+    title: 'Explain an exercise',
+    description: 'Explain how to perform an exercise, tailored to your fitness profile',
+    scopes: ['profile:read', 'exercises:read'],
+    arguments: [
+      { name: 'exercise_id', description: 'ID of the exercise to explain', required: true, schema: { type: 'string' }, completion: 'exercise' }
+    ],
+    build: async (server, { exercise_id }) => {
+      const exercise = await server.getExerciseResource({ _id: exercise_id }, `exercise://exercises/${exercise_id}`);
+      if (!exercise) throw notFound('exercise_id', `Exercise ${exercise_id}`);
+
+      const profile = await server.getFitnessProfileResource();
+
+      return {
+        description: `Explanation of exercise ${exercise_id}`,
+        messages: [
+          resourceMessage(exercise),
+          resourceMessage(profile),
+          textMessage([
+            'Explain the exercise above to me.',
+            '',
+            'Cover the muscles it works, step-by-step technique, common mistakes and how to breathe.',
+            'Using my fitness profile, suggest a starting duration or rep range and an easier or harder variation, and mention any precautions for my physical limitations.'
+          ].join('\n'))
+        ]
+      };
+    }
+  }
+];
+
+const PROMPTS_BY_NAME = new Map(PROMPTS.map(prompt => [prompt.name, prompt]));
+
+function getPrompt(name) {
+  return PROMPTS_BY_NAME.get(name) || null;
+}
+
+function getAllPrompts() {
+  return PROMPTS;
+}
+
+// The part of a prompt entry clients see in prompts/list
+function toPromptDefinition(prompt, protocolVersion = LATEST_PROTOCOL_VERSION) {
+  const definition = {
+    name: prompt.name,
+    description: prompt.description,
+    arguments: prompt.arguments.map(({ name, description, required }) => ({ name, description, required }))
+  };
+
+  if (supportsFeature(protocolVersion, 'titles')) {
+    definition.title = prompt.title;
+  }
+
+  return definition;
+}
+
+// Check prompts/get arguments and return them converted to their declared types
+function validatePromptArguments(prompt, args = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const argument of prompt.arguments) {
+    const raw = args[argument.name];
+    const path = `arguments.${argument.name}`;
+
+    if (raw === undefined || raw === '') {
+      if (argument.required) errors.push(`${path}: is required`);
+      continue;
+    }
+
+    const value = argument.schema?.type === 'integer' && /^-?\d+$/.test(String(raw).trim())
+      ? parseInt(raw, 10)
+      : raw;
+
+    errors.push(...validateSchema(argument.schema, value, path));
+    values[argument.name] = value;
+  }
+
+  for (const name of Object.keys(args)) {
+    if (!prompt.arguments.some(argument => argument.name === name)) {
+      errors.push(`arguments.${name}: is not allowed`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new InvalidParamsError(`Invalid arguments for prompt ${prompt.name}: ${errors.join('; ')}`, errors);
+  }
+
+  return values;
+}
+
+module.exports = {
+  LOCATIONS,
+  DIFFICULTIES,
+  getPrompt,
+  getAllPrompts,
+  toPromptDefinition,
+  validatePromptArguments
+};
@@ -0,0 +1,52 @@
+// MCP protocol versions this server speaks, and the features that differ
+// between them
+
+// Newest first; initialize falls back to the first entry
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+const PROTOCOL_VERSION_HEADER = 'MCP-Protocol-Version';
+
+// The first protocol version each feature appeared in
+const FEATURE_VERSIONS = {
+  toolAnnotations: '2025-03-26',
+  completions: '2025-03-26',
+  titles: '2025-06-18',
+  structuredOutput: '2025-06-18',
+  elicitation: '2025-06-18'
+};
+
+// The first protocol version each feature was removed in
+const REMOVED_FEATURE_VERSIONS = {
+  batching: '2025-06-18'
+};
+
+function isSupportedProtocolVersion(version) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(version);
+}
+
+// Answer with the client's version when we support it, otherwise with our
+// latest and let the client decide whether to disconnect
+function negotiateProtocolVersion(requested) {
+  return isSupportedProtocolVersion(requested) ? requested : LATEST_PROTOCOL_VERSION;
+}
+
+// Versions are ISO dates, so they compare as strings
+function supportsFeature(version, feature) {
+  const since = FEATURE_VERSIONS[feature];
+  const removed = REMOVED_FEATURE_VERSIONS[feature];
+  if (!since && !removed) {
+    throw new Error(`Unknown protocol feature: ${feature}`);
+  }
+  const current = version || LATEST_PROTOCOL_VERSION;
+  return (!since || current >= since) && (!removed || current < removed);
+}
+
+module.exports = {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  LATEST_PROTOCOL_VERSION,
+  PROTOCOL_VERSION_HEADER,
+  isSupportedProtocolVersion,
+  negotiateProtocolVersion,
+  supportsFeature
+};
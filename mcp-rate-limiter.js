@@ -0,0 +1,116 @@
+const { McpRateLimitBucket } = require('./mcp-models');
+
+// Per-user, per-tool token bucket rate limiting. Bucket state lives in MongoDB
+// because Lambda instances are short-lived and don't share memory.
+
+const RATE_LIMIT_ERROR_CODE = -32005;
+
+class RateLimitError extends Error {
+  constructor(message, retryAfter, details = {}) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.code = RATE_LIMIT_ERROR_CODE;
+    this.retryAfter = retryAfter;
+    this.data = { retry_after: retryAfter, ...details };
+  }
+}
+
+// Limits per tool kind: `capacity` is the burst size, `refillPerMinute` the
+// sustained rate
+function getRateLimitConfig() {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+  };
+
+  return {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    read: {
+      capacity: number(process.env.RATE_LIMIT_READ_CAPACITY, 60),
+      refillPerMinute: number(process.env.RATE_LIMIT_READ_REFILL_PER_MINUTE, 60)
+    },
+    write: {
+      capacity: number(process.env.RATE_LIMIT_WRITE_CAPACITY, 5),
+      refillPerMinute: number(process.env.RATE_LIMIT_WRITE_REFILL_PER_MINUTE, 5)
+    }
+  };
+}
+
+// Refill the bucket for the time elapsed since its last update, then try to
+// take one token. Runs as a single atomic update so concurrent Lambdas can't
+// both spend the last token.
+async function takeToken(key, limit) {
+  const now = new Date();
+  const refillPerMs = limit.refillPerMinute / 60000;
+
+  const pipeline = [
+    {
+      $set: {
+        tokens: {
+          $min: [
+            limit.capacity,
+            {
+              $add: [
+                { $ifNull: ['$tokens', limit.capacity] },
+                { $multiply: [{ $subtract: [now, { $ifNull: ['$updated_at', now] }] }, refillPerMs] }
+              ]
+            }
+          ]
+        },
+        capacity: limit.capacity,
+        updated_at: now
+      }
+    },
+    { $set: { allowed: { $gte: ['$tokens', 1] } } },
+    { $set: { tokens: { $cond: ['$allowed', { $subtract: ['$tokens', 1] }, '$tokens'] } } }
+  ];
+
+  const options = { upsert: true, returnDocument: 'after' };
+
+  try {
+    return await McpRateLimitBucket.collection.findOneAndUpdate({ _id: key }, pipeline, options);
+  } catch (error) {
+    // Two first requests raced to create the bucket; the retry updates it
+    if (error.code === 11000) {
+      return await McpRateLimitBucket.collection.findOneAndUpdate({ _id: key }, pipeline, options);
+    }
+    throw error;
+  }
+}
+
+// Throw a RateLimitError if the user has used up their budget for this tool
+async function checkRateLimit(userId, toolName, kind = 'read') {
+  const config = getRateLimitConfig();
+  if (!config.enabled) return;
+
+  const limit = config[kind] || config.read;
+  const key = `${userId}:${toolName}`;
+
+  let bucket;
+  try {
+    bucket = await takeToken(key, limit);
+  } catch (error) {
+    // Don't turn a rate limiter outage into a full outage
+    console.error('Rate limiter unavailable, allowing request:', error.message);
+    return;
+  }
+
+  if (bucket && bucket.allowed === false) {
+    const refillPerSecond = limit.refillPerMinute / 60;
+    const retryAfter = Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerSecond));
+
+    console.log(`Rate limit exceeded for ${key}, retry after ${retryAfter}s`);
+    throw new RateLimitError(
+      `Rate limit exceeded for tool ${toolName}. Try again in ${retryAfter} seconds`,
+      retryAfter,
+      { tool: toolName, limit: limit.capacity, refill_per_minute: limit.refillPerMinute }
+    );
+  }
+}
+
+module.exports = {
+  RateLimitError,
+  RATE_LIMIT_ERROR_CODE,
+  getRateLimitConfig,
+  checkRateLimit
+};
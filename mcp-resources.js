@@ -0,0 +1,157 @@
+const { LATEST_PROTOCOL_VERSION, supportsFeature } = require('./mcp-protocol');
+
+// Registry of MCP resources and resource templates. resources/list,
+// resources/templates/list and resources/read all derive from these entries.
+//
+// Each entry declares:
+//   uri or uriTemplate, name, title, description, mimeType - sent to clients
+//   read - (server, variables, uri) => resource contents, or null when there
+//          is no such document the caller may see
+//   scopes - scopes the caller needs to list, read or complete it (see
+//            mcp-policy.js)
+//   completions - templates only; completion/complete source per variable
+//                 (see mcp-completions.js)
+
+const RESOURCE_NOT_FOUND_ERROR_CODE = -32002;
+
+class ResourceNotFoundError extends Error {
+  constructor(uri) {
+    super(`Resource not found: ${uri}`);
+    this.name = 'ResourceNotFoundError';
+    this.code = RESOURCE_NOT_FOUND_ERROR_CODE;
+    this.data = { uri };
+  }
+}
+
+// Fixed-URI resources. The exercise catalog is too large to read in one go,
+// so exercises are listed page by page in resources/list and read through
+// the exercise://exercises/{id} template instead.
+const RESOURCES = [];
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'exercise://exercises/{id}',
+    name: 'Exercise',
+    title: 'Exercise by ID',
+    description: 'A single exercise with its English title and description',
+    mimeType: 'application/json',
+    scopes: ['exercises:read'],
+    completions: { id: 'exercise' },
+    read: (server, { id }, uri) => server.getExerciseResource({ _id: id }, uri)
+  },
+  {
+    uriTemplate: 'exercise://exercises/by-slug/{slug}',
+    name: 'Exercise by slug',
+    title: 'Exercise by slug',
+    description: 'A single exercise looked up by its slug',
+    mimeType: 'application/json',
+    scopes: ['exercises:read'],
+    completions: { slug: 'exercise_slug' },
+    read: (server, { slug }, uri) => server.getExerciseResource({ slug }, uri)
+  },
+  {
+    uriTemplate: 'workout://{id}',
+    name: 'Workout',
+    title: 'Workout',
+    description: 'A single workout with its sections and exercises',
+    mimeType: 'application/json',
+    // Creators, their delegated coaches and admins only, checked on read
+    scopes: [],
+    completions: { id: 'workout' },
+    read: (server, { id }, uri) => server.getWorkoutResource(id, uri)
+  },
+  {
+    uriTemplate: 'program://{id}',
+    name: 'Workout program',
+    title: 'Workout program',
+    description: 'A workout program with its schedule and workouts',
+    mimeType: 'application/json',
+    // Creators, their delegated coaches and admins only, checked on read
+    scopes: [],
+    completions: { id: 'program' },
+    read: (server, { id }, uri) => server.getProgramResource(id, uri)
+  }
+];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile an RFC 6570 level 1 template such as program://{id}. Each variable
+// matches a single path segment, so exercise://exercises/{id} never swallows
+// exercise://exercises/by-slug/{slug}.
+function compileUriTemplate(uriTemplate) {
+  const variables = [];
+  const pattern = uriTemplate
+    .split(/(\{[^}]+\})/)
+    .map(part => {
+      const variable = part.match(/^\{([^}]+)\}$/);
+      if (!variable) return escapeRegExp(part);
+      variables.push(variable[1]);
+      return '([^/?#]+)';
+    })
+    .join('');
+
+  return { regex: new RegExp(`^${pattern}$`), variables };
+}
+
+const COMPILED_TEMPLATES = RESOURCE_TEMPLATES.map(template => ({
+  template,
+  ...compileUriTemplate(template.uriTemplate)
+}));
+
+// Variables extracted from `uri`, or null if it doesn't match the template
+function matchUriTemplate(compiled, uri) {
+  const match = compiled.regex.exec(uri);
+  if (!match) return null;
+
+  try {
+    return Object.fromEntries(compiled.variables.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+  } catch (error) {
+    // Malformed percent-encoding
+    return null;
+  }
+}
+
+// Find the resource or template serving `uri`. Returns { entry, variables },
+// or null for URIs this server doesn't know.
+function resolveResourceUri(uri) {
+  if (typeof uri !== 'string') return null;
+
+  const resource = RESOURCES.find(entry => entry.uri === uri);
+  if (resource) return { entry: resource, variables: {} };
+
+  for (const compiled of COMPILED_TEMPLATES) {
+    const variables = matchUriTemplate(compiled, uri);
+    if (variables) return { entry: compiled.template, variables };
+  }
+
+  return null;
+}
+
+function getAllResources() {
+  return RESOURCES;
+}
+
+function getAllResourceTemplates() {
+  return RESOURCE_TEMPLATES;
+}
+
+// The parts of an entry clients see in resources/list and resources/templates/list
+function toResourceDefinition(entry, protocolVersion = LATEST_PROTOCOL_VERSION) {
+  const { read, completions, scopes, title, ...definition } = entry;
+  if (supportsFeature(protocolVersion, 'titles')) {
+    definition.title = title;
+  }
+  return definition;
+}
+
+module.exports = {
+  ResourceNotFoundError,
+  RESOURCE_NOT_FOUND_ERROR_CODE,
+  compileUriTemplate,
+  resolveResourceUri,
+  getAllResources,
+  getAllResourceTemplates,
+  toResourceDefinition
+};
@@ -0,0 +1,89 @@
+// Minimal JSON Schema validation for tool arguments and results. Covers the
+// keywords our tool schemas use: type, properties, required, items, enum,
+// minimum, maximum and additionalProperties.
+
+const INVALID_PARAMS_ERROR_CODE = -32602;
+
+class InvalidParamsError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'InvalidParamsError';
+    this.code = INVALID_PARAMS_ERROR_CODE;
+    this.data = { errors };
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+// Return a list of "path: problem" strings; empty when the value is valid
+function validateSchema(schema, value, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push(`${path}.${field}: is required`);
+      }
+    }
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (fieldValue === undefined) continue;
+      if (properties[field]) {
+        errors.push(...validateSchema(properties[field], fieldValue, `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, fieldValue, `${path}.${field}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  InvalidParamsError,
+  INVALID_PARAMS_ERROR_CODE,
+  validateSchema
+};
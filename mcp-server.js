@@ -1,144 +1,41 @@
-const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { CallToolRequestSchema, ListToolsRequestSchema, ListResourcesRequestSchema, ReadResourceRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
-const { ContentItems } = require('@baseplay/models');
-const mongoose = require('mongoose');
-
+const { ResultSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { StreamableHTTPMCPServer } = require('./mcp-streamable-handler');
+const { resolvePermissions } = require('./mcp-policy');
+
+// MCP server over stdio, for local clients such as Claude Desktop and Cursor.
+// It serves the same tools, resources and prompts as the HTTP server by
+// running a StreamableHTTPMCPServer behind the SDK's stdio transport.
+//
+// The user is configured in the environment:
+//   MCP_STDIO_JWT     - a JWT, verified like a Bearer token over HTTP
+//   MCP_STDIO_USER_ID - a user ID to act as without a token, for local
+//                       development; gets MCP_DEFAULT_SCOPES
 class ExerciseMCPServer {
-  constructor() {
-    this.server = new Server(
-      {
-        name: 'exercise-mcp-server',
-        version: '1.0.0',
-      },
-      {
-        capabilities: {
-          tools: {
-            listChanged: false
-          },
-          resources: {
-            subscribe: false,
-            listChanged: false
-          }
-        },
-      }
-    );
-
-    this.setupHandlers();
-  }
-
-  setupHandlers() {
-    // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: []
-      };
-    });
-
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
-        await this.ensureDbConnection();
-
-        switch (name) {
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error: ${error.message}`
-            }
-          ],
-          isError: true
-        };
-      }
-    });
-
-    // List available resources
-    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
-      return {
-        resources: [
-          {
-            uri: 'exercise://exercises',
-            name: 'All Exercises',
-            description: 'Complete list of all published exercises',
-            mimeType: 'application/json'
-          }
-        ]
-      };
-    });
-
-    // Handle resource reads
-    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-      const { uri } = request.params;
-
-      try {
-        await this.ensureDbConnection();
-
-        switch (uri) {
-          case 'exercise://exercises':
-            return await this.getAllExercisesResource();
-          default:
-            throw new Error(`Unknown resource: ${uri}`);
-        }
-      } catch (error) {
-        return {
-          contents: [
-            {
-              uri,
-              mimeType: 'text/plain',
-              text: `Error: ${error.message}`
-            }
-          ]
-        };
-      }
+  constructor(userContext) {
+    // Notifications and server requests go straight to the connected client
+    this.mcp = new StreamableHTTPMCPServer(userContext, {
+      sendNotification: (method, params) => this.server.notification({ method, params }),
+      sendRequest: (method, params) => this.server.request({ method, params }, ResultSchema)
     });
+    this.server = this.mcp.server;
   }
 
-  async ensureDbConnection() {
-    if (mongoose.connection.readyState === 0) {
-      const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/baseplay';
-      await mongoose.connect(mongoUri);
+  // Resolve the user this server acts as from the environment
+  static async authenticateFromEnv(env = process.env) {
+    if (env.MCP_STDIO_JWT) {
+      return await StreamableHTTPMCPServer.validateJWTToken(`Bearer ${env.MCP_STDIO_JWT}`);
     }
-  }
 
+    if (env.MCP_STDIO_USER_ID) {
+      console.error(`Acting as user ${env.MCP_STDIO_USER_ID} without a token (MCP_STDIO_USER_ID)`);
+      const decoded = { sub: env.MCP_STDIO_USER_ID };
+      return { userId: env.MCP_STDIO_USER_ID, decoded, ...resolvePermissions(decoded) };
+    }
 
-  async getAllExercisesResource() {
-    const exercises = await ContentItems.find({
-      item_type: 'exercise',
-      published_at: { $ne: null }
-    })
-    .populate('categories')
-    .sort({ published_at: -1 })
-    .lean();
-
-    return {
-      contents: [
-        {
-          uri: 'exercise://exercises',
-          mimeType: 'application/json',
-          text: JSON.stringify({
-            exercises: exercises.map(exercise => ({
-              id: exercise._id,
-              title: exercise.content?.title || 'Untitled Exercise',
-              description: exercise.content?.description,
-              categories: exercise.categories,
-              published_at: exercise.published_at,
-              content_type: exercise.content_type
-            })),
-            total: exercises.length
-          }, null, 2)
-        }
-      ]
-    };
+    throw new Error('Set MCP_STDIO_JWT or MCP_STDIO_USER_ID to choose the user this server acts as');
   }
 
-
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
@@ -148,8 +45,15 @@ class ExerciseMCPServer {
 
 // Run the server if this file is executed directly
 if (require.main === module) {
-  const server = new ExerciseMCPServer();
-  server.run().catch(console.error);
+  // stdout carries the protocol, so route the shared code's logging to stderr
+  console.log = console.error;
+
+  ExerciseMCPServer.authenticateFromEnv()
+    .then(userContext => new ExerciseMCPServer(userContext).run())
+    .catch(error => {
+      console.error('Failed to start Exercise MCP Server:', error.message);
+      process.exit(1);
+    });
 }
 
 module.exports = ExerciseMCPServer;
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { McpSession } = require('./mcp-models');
+
+// MCP session lifecycle for the Streamable HTTP transport. Sessions live in
+// MongoDB because each request may hit a different Lambda instance.
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+
+// Idle timeout; every request pushes expiry forward
+function getSessionTTLSeconds() {
+  const ttl = parseInt(process.env.MCP_SESSION_TTL_SECONDS || '', 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : 60 * 60;
+}
+
+// 256 bits from the CSPRNG, visible ASCII as the spec requires
+function generateSessionId() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+async function createSession({ userId, protocolVersion, clientInfo, clientCapabilities, serverCapabilities }) {
+  const now = new Date();
+
+  const session = await McpSession.create({
+    _id: generateSessionId(),
+    user_id: userId,
+    protocol_version: protocolVersion,
+    client_info: clientInfo || null,
+    client_capabilities: clientCapabilities || {},
+    server_capabilities: serverCapabilities || {},
+    created_at: now,
+    last_seen_at: now,
+    expires_at: new Date(now.getTime() + getSessionTTLSeconds() * 1000)
+  });
+
+  return session.toObject();
+}
+
+// Load a live session belonging to this user and extend its expiry. Returns
+// null for unknown, expired or someone else's sessions so callers can answer
+// 404 without revealing which.
+async function resumeSession(sessionId, userId) {
+  if (!sessionId) return null;
+
+  const now = new Date();
+  return await McpSession.findOneAndUpdate(
+    { _id: sessionId, user_id: userId, expires_at: { $gt: now } },
+    { $set: { last_seen_at: now, expires_at: new Date(now.getTime() + getSessionTTLSeconds() * 1000) } },
+    { new: true }
+  ).lean();
+}
+
+// Persist session state such as the log level. Returns the updated session,
+// or null if it no longer exists.
+async function updateSession(sessionId, userId, fields) {
+  return await McpSession.findOneAndUpdate(
+    { _id: sessionId, user_id: userId },
+    { $set: fields },
+    { new: true }
+  ).lean();
+}
+
+// Returns true if a session was terminated
+async function terminateSession(sessionId, userId) {
+  const result = await McpSession.deleteOne({ _id: sessionId, user_id: userId });
+  return result.deletedCount > 0;
+}
+
+module.exports = {
+  SESSION_HEADER,
+  createSession,
+  resumeSession,
+  updateSession,
+  terminateSession
+};
@@ -1,12 +1,84 @@
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
-const { CallToolRequestSchema, ListToolsRequestSchema, ListResourcesRequestSchema, ReadResourceRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  SetLevelRequestSchema,
+  CompleteRequestSchema,
+  InitializeRequestSchema
+} = require('@modelcontextprotocol/sdk/types.js');
 const { ContentItems, UserFitnessProfile } = require('@baseplay/models');
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
-const jwt = require('jsonwebtoken');
+const { AuthenticationError, verifyJWT } = require('./mcp-auth');
+const { isOriginAllowed, corsHeaders } = require('./mcp-cors');
+const {
+  ForbiddenError,
+  resolvePermissions,
+  isToolAllowed,
+  assertToolAllowed,
+  isPromptAllowed,
+  assertPromptAllowed,
+  isResourceAllowed,
+  assertResourceAllowed,
+  resolveCreator,
+  canAccessCreatorContent
+} = require('./mcp-policy');
+const {
+  getTool,
+  getAllTools,
+  toToolDefinition,
+  isWriteTool,
+  structuredResult,
+  validateToolOutput,
+  validateToolArguments
+} = require('./mcp-tools');
+const { getPrompt, getAllPrompts, toPromptDefinition, validatePromptArguments } = require('./mcp-prompts');
+const {
+  ResourceNotFoundError,
+  resolveResourceUri,
+  getAllResources,
+  getAllResourceTemplates,
+  toResourceDefinition
+} = require('./mcp-resources');
+const { InvalidParamsError } = require('./mcp-schema');
+const { decodeCursor, resolvePageSize, pageStages, pageResult } = require('./mcp-pagination');
+const { resolveCompletionTarget, complete } = require('./mcp-completions');
+const {
+  ResponseDeferredError,
+  isDeferredResponseEnabled,
+  createClientRequest,
+  takeClientRequest,
+  completeClientRequest,
+  getReplayMessages,
+  resolveClientResponse
+} = require('./mcp-client-requests');
+const { missingProfileFields, buildProfileElicitation, validateProfileAnswers } = require('./mcp-elicitation');
+const { RateLimitError, RATE_LIMIT_ERROR_CODE, checkRateLimit } = require('./mcp-rate-limiter');
+const { recordAuditEntry, queryAuditLog } = require('./mcp-audit-log');
+const { buildResourceMetadata, buildBearerChallenge } = require('./mcp-oauth');
+const { verifyApiKey } = require('./mcp-api-keys');
+const { SESSION_HEADER, createSession, resumeSession, updateSession, terminateSession } = require('./mcp-sessions');
+const { LOGGER_NAME, assertValidLogLevel, shouldNotify } = require('./mcp-logging');
+const { RequestCancelledError, registerRequest, cancelRequest } = require('./mcp-cancellation');
+const {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  LATEST_PROTOCOL_VERSION,
+  PROTOCOL_VERSION_HEADER,
+  isSupportedProtocolVersion,
+  negotiateProtocolVersion,
+  supportsFeature
+} = require('./mcp-protocol');
+
+// Category list_all_exercises and prompts draw exercises from
+const DEFAULT_EXERCISE_CATEGORY = 'a4e765cb-70d7-477a-984c-9fc25bf99bd1';
 
 class StreamableHTTPMCPServer {
-  constructor(userContext = null) {
+  constructor(userContext = null, options = {}) {
     this.server = new Server(
       {
         name: 'exercise-mcp-server',
@@ -20,284 +92,261 @@ class StreamableHTTPMCPServer {
           resources: {
             subscribe: false,
             listChanged: false
-          }
+          },
+          prompts: {
+            listChanged: false
+          },
+          logging: {},
+          completions: {}
         },
       }
     );
 
-    this.sessions = new Map(); // Track active sessions
     this.userContext = userContext; // Store authenticated user info
+    this.origin = options.origin || null; // Validated request origin, recorded in the audit log
+    this.session = options.session || null; // MCP session this request belongs to, if any
+    // Negotiated protocol version; decides which fields responses may carry
+    this.protocolVersion = options.protocolVersion || this.session?.protocol_version || LATEST_PROTOCOL_VERSION;
+    this.logLevel = this.session?.log_level || null; // Threshold for notifications/message, off until set
+    this.notifications = []; // Notifications and server requests sent ahead of the response on this request's SSE stream
+    this.sse = Boolean(options.sse); // Whether this request's response is an SSE stream that can carry server requests
+    // Live connections (stdio) deliver messages straight away instead:
+    //   sendNotification(method, params) and sendRequest(method, params) => result
+    this.sendNotification = options.sendNotification || null;
+    this.sendRequest = options.sendRequest || null;
+    this.clientCapabilities = null; // Set by initialize when there is no session to hold them
+    this.resumed = Boolean(options.resumed); // Rerun of a deferred request, already charged to the rate limit
     this.setupHandlers();
   }
 
+  // Handlers for clients connected through the SDK transport (stdio, see
+  // mcp-server.js). They share every method with the HTTP dispatch in
+  // handleRequest.
   setupHandlers() {
+    // Negotiate the same way as over HTTP and keep the client's capabilities
+    this.server.setRequestHandler(InitializeRequestSchema, async (request) => {
+      this.clientCapabilities = request.params.capabilities || {};
+      return this.initialize(request.params);
+    });
+
     // List available tools
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: [
-          {
-            name: 'get_user_fitness_profile',
-            description: 'Retrieve the authenticated user\'s fitness profile',
-            inputSchema: {
-              type: 'object',
-              properties: {},
-              required: []
-            }
-          },
-          {
-            name: 'create_workout_program',
-            description: 'Create a workout program with multiple workouts in the database for the authenticated user',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                program: {
-                  type: 'object',
-                  properties: {
-                    title: { type: 'string', description: 'Program title' },
-                    summary: { type: 'string', description: 'Program summary' },
-                    description: { type: 'string', description: 'Program description' },
-                    slug: { type: 'string', description: 'URL-friendly slug (optional, will be generated if not provided)' },
-                    categories: { type: 'array', items: { type: 'string' }, description: 'Array of category IDs' },
-                    creator: { type: 'string', description: 'Creator user ID (optional, will use authenticated user if not provided)' },
-                    is_premium: { type: 'boolean', description: 'Whether the program is premium', default: false },
-                    content_metadata: {
-                      type: 'object',
-                      properties: {
-                        duration_weeks: { type: 'string', description: 'Program duration in weeks' },
-                        frequency: { type: 'string', description: 'Workouts per week' },
-                        difficulty: { type: 'string', description: 'Program difficulty level' },
-                        workout_type: { type: 'string', description: 'Type of workout program' }
-                      }
-                    }
-                  },
-                  required: ['title', 'summary', 'description']
-                },
-                workouts: {
-                  type: 'array',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      title: { type: 'string', description: 'Workout title' },
-                      summary: { type: 'string', description: 'Workout summary' },
-                      description: { type: 'string', description: 'Workout description' },
-                      slug: { type: 'string', description: 'URL-friendly slug (optional, will be generated if not provided)' },
-                      categories: { type: 'array', items: { type: 'string' }, description: 'Array of category IDs' },
-                      creator: { type: 'string', description: 'Creator user ID' },
-                      is_premium: { type: 'boolean', description: 'Whether the workout is premium', default: false },
-                      content_metadata: {
-                        type: 'object',
-                        properties: {
-                          difficulty: { type: 'string', description: 'Workout difficulty level' },
-                          calories_burned: { type: 'string', description: 'Estimated calories burned' },
-                          location: { type: 'string', description: 'Workout location (e.g., home, gym)' },
-                          workout_type: { type: 'string', description: 'Type of workout' },
-                          total_duration: { type: 'number', description: 'Total workout duration in seconds' },
-                          exercise_count: { type: 'number', description: 'Number of exercises in workout' }
-                        }
-                      },
-                      sections: {
-                        type: 'array',
-                        items: {
-                          type: 'object',
-                          properties: {
-                            label: { type: 'string', description: 'Section label' },
-                            position: { type: 'number', description: 'Section position' },
-                            items: {
-                              type: 'array',
-                              items: {
-                                type: 'object',
-                                properties: {
-                                  _id: { type: 'string', description: 'Exercise ID' },
-                                  position: { type: 'number', description: 'Exercise position' },
-                                  easy: { type: 'number', description: 'Duration for easy difficulty' },
-                                  medium: { type: 'number', description: 'Duration for medium difficulty' },
-                                  hard: { type: 'number', description: 'Duration for hard difficulty' }
-                                },
-                                required: ['_id', 'position', 'easy', 'medium', 'hard']
-                              }
-                            },
-                            rest: { type: 'string', description: 'Rest time between exercises' },
-                            reps: { type: 'string', description: 'Number of repetitions' }
-                          },
-                          required: ['label', 'position', 'items']
-                        }
-                      }
-                    },
-                    required: ['title', 'summary', 'description', 'creator', 'sections']
-                  },
-                  description: 'Array of workouts to create'
-                },
-                program_schedule: {
-                  type: 'array',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      day: { type: 'number', description: 'Day number in the program' },
-                      workout_index: { type: 'number', description: 'Index of the workout in the workouts array' }
-                    },
-                    required: ['day', 'workout_index']
-                  },
-                  description: 'Schedule mapping days to workout indices'
-                }
-              },
-              required: ['program', 'workouts', 'program_schedule']
-            }
-          },
-          {
-            name: 'list_all_exercises',
-            description: 'List all exercises from the database with complete details',
-            inputSchema: {
-              type: 'object',
-              properties: {},
-              required: []
-            }
-          }
-        ]
-      };
+      return this.listTools();
     });
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      return await this.handleToolCall(request.params, sdkCancellation(extra.signal), extra.requestId);
+    });
 
-      try {
-        await this.ensureDbConnection();
+    // List and render prompt templates
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return this.listPrompts();
+    });
 
-        switch (name) {
-          case 'get_user_fitness_profile':
-            return await this.getUserFitnessProfile(args);
-          case 'create_workout_program':
-            return await this.createWorkoutProgram(args);
-          case 'list_all_exercises':
-            return await this.listAllExercises(args);
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error: ${error.message}`
-            }
-          ],
-          isError: true
-        };
-      }
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      return await this.getPrompt(request.params);
     });
 
-    // List available resources
-    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
-      return {
-        resources: [
-          {
-            uri: 'exercise://exercises',
-            name: 'All Exercises',
-            description: 'Complete list of all published exercises',
-            mimeType: 'application/json'
-          }
-        ]
-      };
+    // Set the minimum level for log notifications
+    this.server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      return await this.setLogLevel(request.params);
+    });
+
+    // List available resources and resource templates
+    this.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      return await this.listResources(request.params);
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return this.listResourceTemplates();
     });
 
     // Handle resource reads
     this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-      const { uri } = request.params;
+      return await this.handleResourceRead(request.params);
+    });
 
-      try {
-        await this.ensureDbConnection();
+    // Suggest prompt argument and resource template values
+    this.server.setRequestHandler(CompleteRequestSchema, async (request) => {
+      return await this.completeArgument(request.params);
+    });
+  }
 
-        switch (uri) {
-          case 'exercise://exercises':
-            return await this.getAllExercisesResource();
-          default:
-            throw new Error(`Unknown resource: ${uri}`);
-        }
-      } catch (error) {
-        return {
-          contents: [
-            {
-              uri,
-              mimeType: 'text/plain',
-              text: `Error: ${error.message}`
-            }
-          ]
-        };
+  // Registry tools the authenticated caller has scope for, as sent in tools/list
+  listTools() {
+    return {
+      tools: getAllTools()
+        .filter(tool => isToolAllowed(this.userContext, tool.name))
+        .map(tool => toToolDefinition(tool, this.protocolVersion))
+    };
+  }
+
+  // Capabilities advertised in the initialize result
+  getServerCapabilities() {
+    const capabilities = {
+      tools: {},
+      resources: {},
+      prompts: {},
+      logging: {}
+    };
+
+    // Clients on 2024-11-05 may still call completion/complete, but that
+    // version has no capability to advertise it
+    if (supportsFeature(this.protocolVersion, 'completions')) {
+      capabilities.completions = {};
+    }
+
+    return capabilities;
+  }
+
+  // Reply to initialize with the version we will speak for this session
+  initialize(params = {}) {
+    if (typeof params.protocolVersion !== 'string') {
+      throw new InvalidParamsError('initialize requires a protocolVersion', ['$.protocolVersion: is required']);
+    }
+
+    this.protocolVersion = negotiateProtocolVersion(params.protocolVersion);
+    if (this.protocolVersion !== params.protocolVersion) {
+      console.log(`Client requested unsupported protocol version ${params.protocolVersion}, offering ${this.protocolVersion}`);
+    }
+
+    return {
+      protocolVersion: this.protocolVersion,
+      capabilities: this.getServerCapabilities(),
+      serverInfo: {
+        name: 'ms-exercise-mcp',
+        version: '1.0.0'
       }
-    });
+    };
   }
 
-  validateOrigin(origin) {
-    // Security: Validate Origin header to prevent DNS rebinding attacks
-    // Allow requests without Origin header (common for MCP clients, CLI tools, etc.)
-    if (!origin) {
-      console.log('No Origin header provided - allowing for MCP client compatibility');
-      return true;
+  // Drop result fields the negotiated protocol version doesn't define. Older
+  // clients still get the same data as JSON text in content.
+  adaptToolResult(result) {
+    if (result?.structuredContent !== undefined && !supportsFeature(this.protocolVersion, 'structuredOutput')) {
+      const { structuredContent, ...rest } = result;
+      return rest;
     }
-    
-    // Allow localhost for development
-    if (origin.includes('localhost') || origin.includes('127.0.0.1')) {
-      return true;
+    return result;
+  }
+
+  // Queue a notification for the current request's SSE stream
+  notify(method, params) {
+    if (this.sendNotification) {
+      this.sendNotification(method, params).catch(error => console.error(`Failed to send ${method}:`, error.message));
+      return;
     }
-    
-    // Add your allowed origins here
-    const allowedOrigins = [
-      'https://your-domain.com',
-      'https://claude.ai',
-      // Add other trusted origins
-    ];
-    
-    return allowedOrigins.includes(origin);
+    this.notifications.push({ jsonrpc: '2.0', method, params });
+  }
+
+  // Progress callback for a request. Sends notifications/progress when the
+  // client asked for them with _meta.progressToken, otherwise does nothing.
+  createProgressReporter(progressToken) {
+    if (progressToken === undefined || progressToken === null) {
+      return () => {};
+    }
+
+    return (progress, total, message) => {
+      this.notify('notifications/progress', { progressToken, progress, total, message });
+    };
+  }
+
+  // Log to CloudWatch and, at or above the session's log level, to the client
+  log(level, message, data = {}) {
+    console.log(`[${level}] ${message}`);
+
+    if (shouldNotify(level, this.logLevel)) {
+      this.notify('notifications/message', {
+        level,
+        logger: LOGGER_NAME,
+        data: { message, ...data }
+      });
+    }
+  }
+
+  // logging/setLevel: remember the level on the session so later requests use it
+  async setLogLevel(params = {}) {
+    assertValidLogLevel(params.level);
+
+    if (this.session && this.userContext) {
+      await this.ensureDbConnection();
+      await updateSession(this.session._id, this.userContext.userId, { log_level: params.level });
+    }
+
+    this.logLevel = params.level;
+    console.log('Log level set to:', params.level);
+    return {};
+  }
+
+  // Spend one token from the caller's bucket for this tool
+  async enforceRateLimit(toolName) {
+    if (!this.userContext || this.resumed) return;
+
+    await this.ensureDbConnection();
+    await checkRateLimit(this.userContext.userId, toolName, isWriteTool(toolName) ? 'write' : 'read');
   }
 
   async ensureDbConnection() {
+    await StreamableHTTPMCPServer.connectToDatabase();
+  }
+
+  static async connectToDatabase() {
     if (mongoose.connection.readyState === 0) {
       const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/main_store';
       await mongoose.connect(mongoUri);
     }
   }
 
-  // Static helper function to validate JWT token and extract user ID
-  static validateJWTToken(authorization) {
+  // Authenticate a request from its headers. Service callers send an API key
+  // as X-API-Key or "Authorization: ApiKey <key>" (optionally with
+  // X-Act-As-User); everyone else sends a Bearer JWT.
+  static async authenticate(headers = {}) {
+    const authorization = getHeader(headers, 'authorization');
+    const apiKeyHeader = getHeader(headers, 'x-api-key');
+
+    if (apiKeyHeader || authorization?.startsWith('ApiKey ')) {
+      const apiKey = apiKeyHeader || authorization.substring(7).trim();
+      await StreamableHTTPMCPServer.connectToDatabase();
+      return await verifyApiKey(apiKey, { actAsUserId: getHeader(headers, 'x-act-as-user') });
+    }
+
+    if (!authorization) {
+      throw new AuthenticationError('Authorization header with Bearer token or X-API-Key header is required', 'missing_token');
+    }
+
+    return await StreamableHTTPMCPServer.validateJWTToken(authorization);
+  }
+
+  // Static helper function to verify JWT token and extract user ID
+  static async validateJWTToken(authorization) {
     if (!authorization) {
-      throw new Error('Authorization header is required');
+      throw new AuthenticationError('Authorization header is required', 'missing_token');
     }
 
     // Check if authorization header starts with "Bearer "
     if (!authorization.startsWith('Bearer ')) {
-      throw new Error('Authorization header must start with "Bearer "');
+      throw new AuthenticationError('Authorization header must start with "Bearer "', 'missing_token');
     }
 
     // Extract the token from "Bearer <token>"
     const token = authorization.substring(7);
     
     if (!token) {
-      throw new Error('JWT token is required');
+      throw new AuthenticationError('JWT token is required', 'missing_token');
     }
 
-    try {
-      // Decode the JWT token without verification for now
-      // In production, you should verify with a secret key
-      const decoded = jwt.decode(token);
-      
-      if (!decoded) {
-        throw new Error('Invalid JWT token format');
-      }
-
-      // Extract user ID from token
-      const userId = decoded.user?._id || decoded._id || decoded.userId || decoded.sub;
-      
-      if (!userId) {
-        throw new Error('User ID not found in JWT token. Expected user._id, _id, userId, or sub field');
-      }
+    // Verify signature and exp/nbf/iss/aud claims
+    const decoded = await verifyJWT(token);
 
-      return { userId, decoded };
-    } catch (error) {
-      if (error.message.includes('User ID not found') || error.message.includes('Invalid JWT token')) {
-        throw error;
-      }
-      throw new Error(`JWT token validation failed: ${error.message}`);
+    // Extract user ID from token
+    const userId = decoded.user?._id || decoded._id || decoded.userId || decoded.sub;
+    
+    if (!userId) {
+      throw new AuthenticationError('User ID not found in JWT token. Expected user._id, _id, userId, or sub field', 'invalid_token');
     }
+
+    return { userId, decoded, ...resolvePermissions(decoded) };
   }
 
   // Helper function to calculate age from date of birth
@@ -350,7 +399,7 @@ class StreamableHTTPMCPServer {
     return Math.round(bmr);
   }
 
-  async getUserFitnessProfile(args) {
+  async getUserFitnessProfile(args, context = {}) {
     console.log('getUserFitnessProfile called with args:', args);
     
     // Use server-level authenticated user context
@@ -363,27 +412,29 @@ class StreamableHTTPMCPServer {
     
     try {
       // Query the UserFitnessProfile model for the user's fitness profile
-      const fitnessProfile = await UserFitnessProfile.findOne({
+      let fitnessProfile = await UserFitnessProfile.findOne({
         user_id: userId
       }).lean();
 
       if (!fitnessProfile) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: false,
-                message: 'No fitness profile found for this user',
-                user_id: userId
-              }, null, 2)
-            }
-          ]
-        };
+        return structuredResult({
+          success: false,
+          message: 'No fitness profile found for this user',
+          user_id: userId
+        });
       }
 
       console.log('Fitness profile found for user:', userId);
 
+      // Ask the user for anything the metrics need. Over HTTP the response
+      // follows once they answer; over a live connection elicit returns after
+      // saving the answers, so read the profile again.
+      const missingFields = missingProfileFields(fitnessProfile);
+      if (missingFields.length > 0 && context.elicit) {
+        await context.elicit('fitness_profile', buildProfileElicitation(missingFields));
+        fitnessProfile = (await UserFitnessProfile.findOne({ user_id: userId }).lean()) || fitnessProfile;
+      }
+
       // Calculate age from date of birth
       const age = this.calculateAge(fitnessProfile.date_of_birth || fitnessProfile.dateOfBirth || fitnessProfile.birth_date);
       
@@ -401,47 +452,45 @@ class StreamableHTTPMCPServer {
         fitnessProfile.gender
       );
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              success: true,
-              user_id: userId,
-              fitness_profile: {
-                fitness_target: fitnessProfile.fitness_target || fitnessProfile.fitness_goals || fitnessProfile.goal || fitnessProfile.fitness_goal,
-                gender: fitnessProfile.gender,
-                current_weight: currentWeight,
-                fitness_level: fitnessProfile.fitness_level || fitnessProfile.activity_level,
-                age: age,
-                height: fitnessProfile.height,
-                target_weight: fitnessProfile.target_weight || fitnessProfile.goal_weight,
-                bmi: bmi,
-                bmr: bmr,
-                physical_limitations: Boolean(fitnessProfile.physical_limitations || fitnessProfile.medical_conditions)
-              }
-            }, null, 2)
-          }
-        ]
-      };
+      return structuredResult({
+        success: true,
+        user_id: userId,
+        fitness_profile: {
+          fitness_target: fitnessProfile.fitness_target || fitnessProfile.fitness_goals || fitnessProfile.goal || fitnessProfile.fitness_goal,
+          gender: fitnessProfile.gender,
+          current_weight: currentWeight,
+          fitness_level: fitnessProfile.fitness_level || fitnessProfile.activity_level,
+          age: age,
+          height: fitnessProfile.height,
+          target_weight: fitnessProfile.target_weight || fitnessProfile.goal_weight,
+          bmi: bmi,
+          bmr: bmr,
+          physical_limitations: Boolean(fitnessProfile.physical_limitations || fitnessProfile.medical_conditions)
+        }
+      });
     } catch (error) {
+      if (error instanceof ResponseDeferredError) throw error;
       console.error('Error in getUserFitnessProfile:', error);
       throw new Error(`Failed to retrieve user fitness profile: ${error.message}`);
     }
   }
 
 
-  async getAllExercisesResource() {
-    // Build aggregation pipeline for English locale filtering
-    const pipeline = [
+  // Aggregation pipeline returning exercises matching `match`, projected to
+  // their English locale. `page` holds pagination stages (see mcp-pagination.js)
+  // and runs before the projection.
+  buildExercisePipeline(match = {}, page = []) {
+    return [
       // Stage 1: Match exercises with content_metadata
       {
         $match: {
           item_type: 'exercise',
-          content_metadata: { $exists: true, $ne: null }
+          content_metadata: { $exists: true, $ne: null },
+          ...match
         }
       },
-      
+      ...page,
+
       // Stage 2: Add field to extract English locale data
       {
         $addFields: {
@@ -458,7 +507,7 @@ class StreamableHTTPMCPServer {
           }
         }
       },
-      
+
       // Stage 3: Project only the required fields
       {
         $project: {
@@ -471,32 +520,219 @@ class StreamableHTTPMCPServer {
         }
       }
     ];
+  }
+
+  // Shape of an exercise in tool results and resources
+  formatExercise(exercise) {
+    return {
+      id: exercise._id,
+      slug: exercise.slug,
+      title: exercise.title || 'Untitled Exercise',
+      description: exercise.description,
+      media: exercise.media,
+      content_metadata: exercise.content_metadata
+    };
+  }
 
-    console.log('getAllExercisesResource - executing aggregation pipeline');
-    const exercises = await ContentItems.aggregate(pipeline);
-    console.log(`getAllExercisesResource - found ${exercises.length} exercises`);
+  // Context that prompts embed
 
+  // The first `pageSize` exercises list_all_exercises returns, without media
+  // or descriptions, so prompts stay the same size however large the catalog
+  // grows. Returns { exercises, nextCursor }; nextCursor continues the listing
+  // in list_all_exercises.
+  async getExerciseCatalogPage(pageSize) {
+    const { items, nextCursor } = await this.findExercisePage({ categories: DEFAULT_EXERCISE_CATEGORY }, { pageSize });
     return {
-      contents: [
-        {
-          uri: 'exercise://exercises',
-          mimeType: 'application/json',
-          text: JSON.stringify({
-            exercises: exercises.map(exercise => ({
-              id: exercise._id,
-              slug: exercise.slug,
-              title: exercise.title || 'Untitled Exercise',
-              description: exercise.description,
-              media: exercise.media,
-              content_metadata: exercise.content_metadata
-            })),
-            total: exercises.length
-          }, null, 2)
-        }
-      ]
+      exercises: items.map(exercise => ({
+        id: exercise._id,
+        title: exercise.title || 'Untitled Exercise',
+        content_metadata: exercise.content_metadata
+      })),
+      nextCursor
+    };
+  }
+
+  async getFitnessProfileResource() {
+    const result = await this.getUserFitnessProfile({});
+    return {
+      uri: 'fitness-profile://me',
+      mimeType: 'application/json',
+      text: result.content[0].text
+    };
+  }
+
+  // English locale entry of a content item, or an empty object
+  englishLocale(doc) {
+    return (doc.locale || []).find(locale => locale.language_iso === 'en') || {};
+  }
+
+  // Shape of a workout in resources
+  formatWorkout(workout) {
+    const english = this.englishLocale(workout);
+    return {
+      id: workout._id,
+      slug: workout.slug,
+      title: english.title,
+      summary: english.summary,
+      description: english.description,
+      content_metadata: workout.content_metadata,
+      sections: workout.sections
+    };
+  }
+
+  // Single-document resources served by resource templates and embedded by
+  // prompts. Each returns the resource contents for `uri`, or null when there
+  // is no such document the caller may see.
+
+  async getExerciseResource(match, uri) {
+    const [exercise] = await ContentItems.aggregate(this.buildExercisePipeline(match));
+    if (!exercise) return null;
+
+    return {
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify(this.formatExercise(exercise), null, 2)
+    };
+  }
+
+  // Workouts and programs are user content: only their creator, the creator's
+  // delegated coaches and admins may see them
+  async getWorkoutResource(workoutId, uri = `workout://${workoutId}`) {
+    const workout = await ContentItems.findOne({ _id: workoutId, item_type: 'workouts' }).lean();
+    if (!workout || !canAccessCreatorContent(this.userContext, workout.creator)) return null;
+
+    return {
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify(this.formatWorkout(workout), null, 2)
+    };
+  }
+
+  async getProgramResource(programId, uri = `program://${programId}`) {
+    const program = await ContentItems.findOne({ _id: programId, item_type: 'workout-program' }).lean();
+    if (!program || !canAccessCreatorContent(this.userContext, program.creator)) return null;
+
+    const workoutIds = (program.sections || []).map(section => section.workout);
+    const workouts = await ContentItems.find({ _id: { $in: workoutIds }, item_type: 'workouts' }).lean();
+    for (const workoutId of workoutIds) {
+      if (!workouts.some(workout => workout._id === workoutId)) {
+        this.log('warning', `Workout ${workoutId} not found, skipped`, { program_id: programId, workout_id: workoutId });
+      }
+    }
+
+    const english = this.englishLocale(program);
+    return {
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify({
+        id: program._id,
+        slug: program.slug,
+        title: english.title,
+        description: english.description,
+        content_metadata: program.content_metadata,
+        schedule: program.sections,
+        workouts: workouts.map(workout => this.formatWorkout(workout))
+      }, null, 2)
+    };
+  }
+
+  // One page of exercises matching `match`, ordered by _id
+  async findExercisePage(match, { cursor, pageSize }, cursorPath = 'params.cursor') {
+    const after = decodeCursor(cursor, cursorPath);
+    const size = resolvePageSize(pageSize);
+    const exercises = await ContentItems.aggregate(this.buildExercisePipeline(match, pageStages(after, size)));
+    return pageResult(exercises, size);
+  }
+
+  // The registry's resources followed by every exercise as a concrete
+  // exercise://exercises/{id} resource. Only exercises are paged; the registry
+  // entries lead the first page. Both are limited to what the caller has
+  // scope to read.
+  async listResources(params = {}) {
+    const resources = params?.cursor
+      ? []
+      : getAllResources()
+        .filter(resource => isResourceAllowed(this.userContext, resource))
+        .map(resource => toResourceDefinition(resource, this.protocolVersion));
+
+    const exerciseTemplate = getAllResourceTemplates().find(template => template.uriTemplate === 'exercise://exercises/{id}');
+    if (!isResourceAllowed(this.userContext, exerciseTemplate)) {
+      return { resources };
+    }
+
+    await this.ensureDbConnection();
+    const { items, nextCursor } = await this.findExercisePage({}, { cursor: params?.cursor });
+
+    for (const exercise of items) {
+      const definition = {
+        uri: `exercise://exercises/${exercise._id}`,
+        name: exercise.slug || exercise._id,
+        mimeType: 'application/json'
+      };
+      if (supportsFeature(this.protocolVersion, 'titles') && exercise.title) {
+        definition.title = exercise.title;
+      }
+      resources.push(definition);
+    }
+
+    return nextCursor ? { resources, nextCursor } : { resources };
+  }
+
+  // Templates the caller has scope for, as sent in resources/templates/list
+  listResourceTemplates() {
+    return {
+      resourceTemplates: getAllResourceTemplates()
+        .filter(template => isResourceAllowed(this.userContext, template))
+        .map(template => toResourceDefinition(template, this.protocolVersion))
     };
   }
 
+  // Prompts the authenticated caller has scope for, as sent in prompts/list
+  listPrompts() {
+    return {
+      prompts: getAllPrompts()
+        .filter(prompt => isPromptAllowed(this.userContext, prompt.name))
+        .map(prompt => toPromptDefinition(prompt, this.protocolVersion))
+    };
+  }
+
+  // completion/complete. Prompt argument and template variable completions
+  // need the same scopes as the prompt or resource itself.
+  async completeArgument(params = {}) {
+    const { ref, argument } = params;
+    if (typeof argument?.name !== 'string') {
+      throw new InvalidParamsError('completion/complete requires an argument name', ['argument.name: is required']);
+    }
+
+    const target = resolveCompletionTarget(ref, argument.name);
+    if (target.prompt) {
+      assertPromptAllowed(this.userContext, target.prompt.name);
+    }
+    if (target.template) {
+      assertResourceAllowed(this.userContext, target.template);
+    }
+
+    // Enum values come from the registry; only lookups need the database
+    if (!target.values && target.source) {
+      await this.ensureDbConnection();
+    }
+    return await complete(this, target, String(argument.value ?? ''));
+  }
+
+  async getPrompt(params = {}) {
+    const { name, arguments: args } = params;
+    const prompt = getPrompt(name);
+    if (!prompt) {
+      throw new InvalidParamsError(`Unknown prompt: ${name}`, [`name: no prompt named ${name}`]);
+    }
+
+    assertPromptAllowed(this.userContext, name);
+    const values = validatePromptArguments(prompt, args || {});
+
+    await this.ensureDbConnection();
+    return await prompt.build(this, values);
+  }
+
 
   // Helper function to generate slug from title
   generateSlug(title) {
@@ -597,81 +833,48 @@ class StreamableHTTPMCPServer {
     };
   }
 
+  // Stamp a creator override onto the document and collect it for the response
+  recordCreatorOverride(doc, override, overrides) {
+    if (!override) return;
+
+    doc.internal_meta.creator_override = {
+      created_by: override.by,
+      via: override.via,
+      at: doc.created_at
+    };
+    overrides.push({ id: doc._id, item_type: doc.item_type, creator: doc.creator, ...override });
+    console.log(`Creator override on ${doc.item_type} ${doc._id}: ${override.by} attributed it to ${doc.creator} (${override.via})`);
+  }
+
   async listAllExercises(args) {
     console.log('listAllExercises called with args:', args);
     
     try {
-      // Build aggregation pipeline for English locale filtering (same as resource)
-      const pipeline = [
-        // Stage 1: Match exercises with content_metadata and specific category
-        {
-          $match: {
-            item_type: 'exercise',
-            content_metadata: { $exists: true, $ne: null },
-            categories: 'a4e765cb-70d7-477a-984c-9fc25bf99bd1'
-          }
-        },
-        
-        // Stage 2: Add field to extract English locale data
-        {
-          $addFields: {
-            englishLocale: {
-              $arrayElemAt: [
-                {
-                  $filter: {
-                    input: '$locale',
-                    cond: { $eq: ['$$this.language_iso', 'en'] }
-                  }
-                },
-                0
-              ]
-            }
-          }
-        },
-        
-        // Stage 3: Project only the required fields
-        {
-          $project: {
-            _id: 1,
-            slug: 1,
-            title: '$englishLocale.title',
-            description: '$englishLocale.description',
-            media: 1,
-            content_metadata: 1
-          }
-        }
-      ];
-
+      // One page of exercises in the default category, projected to English
       console.log('listAllExercises - executing aggregation pipeline');
-      const exercises = await ContentItems.aggregate(pipeline);
+      const { items: exercises, nextCursor } = await this.findExercisePage(
+        { categories: DEFAULT_EXERCISE_CATEGORY },
+        { cursor: args.cursor, pageSize: args.pageSize },
+        'arguments.cursor'
+      );
       console.log(`listAllExercises - found ${exercises.length} exercises`);
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              success: true,
-              exercises: exercises.map(exercise => ({
-                id: exercise._id,
-                slug: exercise.slug,
-                title: exercise.title || 'Untitled Exercise',
-                description: exercise.description,
-                media: exercise.media,
-                content_metadata: exercise.content_metadata
-              })),
-              total: exercises.length
-            }, null, 2)
-          }
-        ]
+      const result = {
+        success: true,
+        exercises: exercises.map(exercise => this.formatExercise(exercise)),
+        total: exercises.length
       };
+      if (nextCursor) result.nextCursor = nextCursor;
+
+      return structuredResult(result);
     } catch (error) {
+      if (error instanceof InvalidParamsError) throw error;
       console.error('Error in listAllExercises:', error);
       throw new Error(`Failed to list exercises: ${error.message}`);
     }
   }
 
-  async createWorkoutProgram(args) {
+  async createWorkoutProgram(args, context = {}) {
     console.log('createWorkoutProgram called with args:', JSON.stringify(args, null, 2));
     
     const { program, workouts, program_schedule } = args;
@@ -704,23 +907,35 @@ class StreamableHTTPMCPServer {
       }
     }
     
+    // Resolve attribution up front so a forbidden creator fails before anything is written
+    const workoutCreators = workouts.map(workout => resolveCreator(this.userContext, workout.creator));
+    const programCreator = resolveCreator(this.userContext, program.creator);
+    const creatorOverrides = [];
+    const reportProgress = context.reportProgress || (() => {});
+    const throwIfCancelled = context.throwIfCancelled || (async () => {});
+    const totalSteps = workouts.length + 1; // every workout, then the program
+    const createdWorkouts = [];
+    
     try {
-      console.log('Starting workout program creation...');
+      this.log('info', `Creating workout program '${program.title}' with ${workouts.length} workouts`);
       
       // Step 1: Create all workouts first
-      const createdWorkouts = [];
       
       for (let i = 0; i < workouts.length; i++) {
         const workout = workouts[i];
-        console.log(`Creating workout ${i + 1}/${workouts.length}: ${workout.title}`);
+        this.log('info', `Creating workout ${i + 1}/${workouts.length}: ${workout.title}`);
         
         // Create workout document
+        // Stop between inserts if the client cancelled
+        await throwIfCancelled();
+
         const workoutDoc = this.createDefaultContentItem('workouts');
         
         // Set workout-specific fields
         workoutDoc.slug = workout.slug || this.generateSlug(workout.title);
         workoutDoc.locale = this.createLocaleArray(workout.title, workout.summary, workout.description);
-        workoutDoc.creator = workout.creator || userId; // Use authenticated user if creator not specified
+        workoutDoc.creator = workoutCreators[i].creator;
+        this.recordCreatorOverride(workoutDoc, workoutCreators[i].override, creatorOverrides);
         workoutDoc.categories = workout.categories || [];
         workoutDoc.settings.is_premium = workout.is_premium || false;
         workoutDoc.content_metadata = workout.content_metadata || {};
@@ -748,18 +963,22 @@ class StreamableHTTPMCPServer {
         // Save workout to database
         const savedWorkout = await ContentItems.create(workoutDoc);
         createdWorkouts.push(savedWorkout);
-        console.log(`Workout created with ID: ${savedWorkout._id}`);
+        context.createdIds?.push(savedWorkout._id);
+        this.log('debug', `Workout created with ID: ${savedWorkout._id}`, { workout_id: savedWorkout._id });
+        reportProgress(i + 1, totalSteps, `Created workout ${i + 1} of ${workouts.length}: ${workout.title}`);
       }
       
       // Step 2: Create the program with references to the created workouts
-      console.log('Creating workout program...');
+      this.log('info', 'Creating program document');
       
+      await throwIfCancelled();
       const programDoc = this.createDefaultContentItem('workout-program');
       
       // Set program-specific fields
       programDoc.slug = program.slug || this.generateSlug(program.title);
       programDoc.locale = this.createLocaleArray(program.title, program.summary, program.description);
-      programDoc.creator = program.creator || userId; // Use authenticated user if creator not specified
+      programDoc.creator = programCreator.creator;
+      this.recordCreatorOverride(programDoc, programCreator.override, creatorOverrides);
       programDoc.categories = program.categories || [];
       programDoc.settings.is_premium = program.is_premium || false;
       programDoc.content_metadata = program.content_metadata || {};
@@ -776,113 +995,515 @@ class StreamableHTTPMCPServer {
       
       // Save program to database
       const savedProgram = await ContentItems.create(programDoc);
-      console.log(`Program created with ID: ${savedProgram._id}`);
+      context.createdIds?.push(savedProgram._id);
+      this.log('info', `Program created with ID: ${savedProgram._id}`, { program_id: savedProgram._id });
+      reportProgress(totalSteps, totalSteps, `Created program: ${program.title}`);
       
       // Return success response
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              success: true,
-              authenticated_user: userId,
-              program: {
-                id: savedProgram._id,
-                title: program.title,
-                slug: savedProgram.slug,
-                creator: savedProgram.creator,
-                created_at: savedProgram.created_at
-              },
-              workouts: createdWorkouts.map((workout, index) => ({
-                id: workout._id,
-                title: workouts[index].title,
-                slug: workout.slug,
-                created_at: workout.created_at
-              })),
-              schedule: programDoc.sections,
-              message: `Successfully created workout program '${program.title}' with ${createdWorkouts.length} workouts`
-            }, null, 2)
-          }
-        ]
-      };
+      return structuredResult({
+        success: true,
+        authenticated_user: userId,
+        program: {
+          id: savedProgram._id,
+          title: program.title,
+          slug: savedProgram.slug,
+          creator: savedProgram.creator,
+          created_at: savedProgram.created_at
+        },
+        workouts: createdWorkouts.map((workout, index) => ({
+          id: workout._id,
+          title: workouts[index].title,
+          slug: workout.slug,
+          created_at: workout.created_at
+        })),
+        schedule: programDoc.sections,
+        creator_overrides: creatorOverrides,
+        message: `Successfully created workout program '${program.title}' with ${createdWorkouts.length} workouts`
+      });
       
     } catch (error) {
+      if (error instanceof RequestCancelledError) {
+        // Don't leave orphaned workouts behind
+        const workoutIds = createdWorkouts.map(workout => workout._id);
+        this.log('notice', `Workout program creation cancelled, removing ${workoutIds.length} created workouts`, { workout_ids: workoutIds });
+        if (workoutIds.length > 0) {
+          await ContentItems.deleteMany({ _id: { $in: workoutIds } });
+        }
+        throw error;
+      }
+
       console.error('Error in createWorkoutProgram:', error);
       throw new Error(`Failed to create workout program: ${error.message}`);
     }
   }
 
-  // Create SSE stream response
-  createSSEResponse(sessionId) {
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Accept, Origin',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'X-Session-ID': sessionId
-      },
-      body: '', // Will be populated with SSE data
-      isBase64Encoded: false
-    };
-  }
+  async getAuditLog(args = {}) {
+    console.log('getAuditLog called with args:', args);
 
-  // Format message as SSE event
+    try {
+      const entries = await queryAuditLog(args);
+
+      return structuredResult({
+        success: true,
+        entries: entries.map(entry => ({
+          id: entry._id,
+          user_id: entry.user_id,
+          token_subject: entry.token_subject,
+          origin: entry.origin,
+          tool: entry.tool,
+          arguments_hash: entry.arguments_hash,
+          created_ids: entry.created_ids,
+          outcome: entry.outcome,
+          error: entry.error,
+          duration_ms: entry.duration_ms,
+          created_at: entry.created_at
+        })),
+        total: entries.length
+      });
+    } catch (error) {
+      console.error('Error in getAuditLog:', error);
+      throw new Error(`Failed to query audit log: ${error.message}`);
+    }
+  }
+
+  // Format message as SSE event
   formatSSEMessage(data, event = 'message', id = null) {
-    let message = '';
-    if (id) message += `id: ${id}\n`;
-    if (event) message += `event: ${event}\n`;
-    message += `data: ${JSON.stringify(data)}\n\n`;
-    return message;
+    return formatSSEEvent(data, event, id);
   }
 
   // Handle tool calls directly
-  async handleToolCall(params) {
+  async handleToolCall(params, cancellation = null, requestId = null) {
     const { name, arguments: args } = params;
+    const tool = getTool(name);
+    // Before the rate limit, so made-up names never get a bucket of their own
+    if (!tool) {
+      throw new InvalidParamsError(`Unknown tool: ${name}`, [`name: no tool named ${name}`]);
+    }
+
+    return await this.withAudit(name, args, async (context) => {
+      context.reportProgress = this.createProgressReporter(params._meta?.progressToken);
+      context.signal = cancellation?.signal || null;
+      context.throwIfCancelled = cancellation ? () => cancellation.throwIfCancelled() : async () => {};
+      context.elicit = this.createElicitor(requestId, params);
+
+      // Let permission, rate limit and argument errors reach the caller as JSON-RPC errors
+      assertToolAllowed(this.userContext, name);
+      await this.enforceRateLimit(name);
+      validateToolArguments(tool, args);
+
+      try {
+        await this.ensureDbConnection();
+        const result = await tool.handler(this, args || {}, context);
+
+        // Never send structured output that breaks the schema we advertised
+        const outputErrors = validateToolOutput(tool, result);
+        if (outputErrors.length > 0) {
+          throw new Error(`Tool ${name} returned output that does not match its outputSchema: ${outputErrors.join('; ')}`);
+        }
+
+        return this.adaptToolResult(result);
+      } catch (error) {
+        if (error instanceof ForbiddenError || error instanceof RequestCancelledError || error instanceof InvalidParamsError || error instanceof ResponseDeferredError) throw error;
+        this.log('error', `Tool ${name} failed: ${error.message}`, { tool: name });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    });
+  }
+
+  // Run a tool call and, for mutating tools, append an audit entry with its
+  // outcome. Tools report the IDs they create through context.createdIds.
+  async withAudit(name, args, run) {
+    if (!isWriteTool(name) || !this.userContext) {
+      return await run({ createdIds: [] });
+    }
+
+    // Connect up front: calls rejected before the handler connects (forbidden,
+    // rate limited) are audited too, and over stdio nothing else has connected
+    // yet, so the entry would wait on mongoose's buffer and time out
+    await this.ensureDbConnection();
+
+    const context = { createdIds: [] };
+    const startTime = Date.now();
+    let outcome = 'success';
+    let errorMessage = null;
 
     try {
-      await this.ensureDbConnection();
+      const result = await run(context);
+      if (result?.isError) {
+        outcome = 'error';
+        errorMessage = result.content?.[0]?.text || null;
+      }
+      return result;
+    } catch (error) {
+      if (error instanceof ForbiddenError) {
+        outcome = 'forbidden';
+      } else if (error instanceof RateLimitError) {
+        outcome = 'rate_limited';
+      } else if (error instanceof RequestCancelledError) {
+        outcome = 'cancelled';
+      } else {
+        outcome = 'error';
+      }
+      errorMessage = error.message;
+      throw error;
+    } finally {
+      await recordAuditEntry({
+        userId: this.userContext.userId,
+        tokenSubject: this.userContext.decoded?.sub,
+        origin: this.origin,
+        tool: name,
+        args,
+        createdIds: context.createdIds,
+        outcome,
+        error: errorMessage,
+        durationMs: Date.now() - startTime
+      });
+    }
+  }
+
+  // Dispatch one JSON-RPC request and build its response. Never throws:
+  // failures become JSON-RPC error responses so a batch can carry them.
+  async handleRequest(message) {
+    const { method, id, params } = message;
+
+    try {
+      switch (method) {
+        case 'initialize':
+          console.log('Handling initialize request');
+          return jsonRpcResult(id, this.initialize(params));
+
+        case 'ping':
+          return jsonRpcResult(id, {});
+
+        case 'tools/list':
+          console.log('Handling tools/list request');
+          return jsonRpcResult(id, this.listTools());
+
+        case 'resources/list':
+          console.log('Handling resources/list request');
+          return jsonRpcResult(id, await this.listResources(params));
+
+        case 'resources/templates/list':
+          console.log('Handling resources/templates/list request');
+          return jsonRpcResult(id, this.listResourceTemplates());
+
+        case 'tools/call':
+          console.log('Handling tools/call request:', params);
+          return jsonRpcResult(id, await this.runCancellable(id, cancellation => this.handleToolCall(params || {}, cancellation, id)));
+
+        case 'logging/setLevel':
+          return jsonRpcResult(id, await this.setLogLevel(params));
+
+        case 'prompts/list':
+          console.log('Handling prompts/list request');
+          return jsonRpcResult(id, this.listPrompts());
+
+        case 'prompts/get':
+          console.log('Handling prompts/get request:', params?.name);
+          return jsonRpcResult(id, await this.getPrompt(params));
+
+        case 'completion/complete':
+          console.log('Handling completion/complete request:', params?.ref, params?.argument?.name);
+          return jsonRpcResult(id, await this.completeArgument(params || {}));
+
+        case 'resources/read':
+          console.log('Handling resources/read request:', params);
+          return jsonRpcResult(id, await this.handleResourceRead(params || {}));
 
-      switch (name) {
-        case 'get_user_fitness_profile':
-          return await this.getUserFitnessProfile(args);
-        case 'create_workout_program':
-          return await this.createWorkoutProgram(args);
-        case 'list_all_exercises':
-          return await this.listAllExercises(args);
         default:
-          throw new Error(`Unknown tool: ${name}`);
+          console.log('Unknown method:', method);
+          return jsonRpcError(id, -32601, 'Method not found', `Unknown method: ${method}`);
       }
     } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Error: ${error.message}`
-          }
-        ],
-        isError: true
+      // A cancelled request gets no response at all
+      if (error instanceof RequestCancelledError) {
+        console.log(`${method} ${id} cancelled:`, error.message);
+        return null;
+      }
+      // The response is sent once the client answers the server's request
+      if (error instanceof ResponseDeferredError) {
+        console.log(`${method} ${id} deferred:`, error.message);
+        return null;
+      }
+      if (error instanceof RateLimitError || error instanceof ForbiddenError || error instanceof InvalidParamsError || error instanceof ResourceNotFoundError) {
+        console.log(`${method} rejected:`, error.message);
+        return jsonRpcError(id, error.code, error.message, error.data);
+      }
+      console.error(`Error in ${method}:`, error);
+      return jsonRpcError(id, -32603, 'Internal error', error.message);
+    }
+  }
+
+  // Client capabilities from the session (HTTP) or from initialize (stdio)
+  getClientCapabilities() {
+    return this.session?.client_capabilities || this.clientCapabilities || {};
+  }
+
+  // Whether the client can be sent elicitation/create, either straight away
+  // or on this request's SSE stream when deferred responses are enabled
+  canElicit() {
+    return Boolean(
+      (this.sendRequest || (this.sse && isDeferredResponseEnabled())) &&
+      this.getClientCapabilities().elicitation &&
+      supportsFeature(this.protocolVersion, 'elicitation')
+    );
+  }
+
+  // context.elicit for a tool call. Over a live connection it asks the client
+  // and applies the answer before returning. Otherwise it sends
+  // elicitation/create ahead of the (absent) response and defers the response
+  // until the client answers, see handleClientResponse. Null when the client
+  // can't be asked.
+  createElicitor(requestId, params) {
+    if (!this.canElicit()) {
+      return null;
+    }
+
+    if (this.sendRequest) {
+      return async (purpose, elicitation) => {
+        console.log(`Sending elicitation/create for ${purpose}`);
+        let result = null;
+        try {
+          result = await this.sendRequest('elicitation/create', elicitation);
+        } catch (error) {
+          console.error('elicitation/create failed:', error.message);
+        }
+        if (purpose === 'fitness_profile') {
+          await this.applyProfileElicitation(elicitation, result);
+        }
       };
     }
+
+    if (!this.session || requestId === undefined || requestId === null) {
+      return null;
+    }
+
+    return async (purpose, elicitation) => {
+      const request = await createClientRequest({
+        sessionId: this.session._id,
+        userId: this.userContext.userId,
+        method: 'elicitation/create',
+        params: elicitation,
+        purpose,
+        originalRequestId: requestId,
+        originalParams: params
+      });
+      this.notifications.push(request);
+      console.log(`Sent elicitation/create ${request.id} for ${purpose}`);
+      throw new ResponseDeferredError(request.id);
+    };
+  }
+
+  // Act on the client's answer to a server request: apply it, then run the
+  // request that was waiting on it and keep its response for the client to
+  // collect (see mcpGet). Answers to unknown or already answered requests are
+  // ignored.
+  async handleClientResponse(message) {
+    if (!this.session) return;
+
+    // Answers to requests sent over a live stream resume the waiting call directly
+    if (resolveClientResponse(this.session._id, message)) return;
+
+    await this.ensureDbConnection();
+    const request = await takeClientRequest(this.session._id, message.id);
+    if (!request) {
+      console.log('Ignoring response to unknown server request:', message.id);
+      return;
+    }
+
+    if (request.purpose === 'fitness_profile') {
+      await this.applyProfileElicitation(request.params, message.error ? null : message.result);
+    }
+
+    // The resumed call must not ask again, so it runs without an SSE stream
+    const resumed = new StreamableHTTPMCPServer(this.userContext, {
+      origin: this.origin,
+      session: this.session,
+      protocolVersion: this.protocolVersion,
+      resumed: true
+    });
+    const response = await resumed.handleRequest({
+      jsonrpc: '2.0',
+      id: request.original_request_id,
+      method: 'tools/call',
+      params: request.original_params
+    });
+
+    await completeClientRequest(request._id, [...resumed.notifications, ...(response ? [response] : [])]);
+    console.log(`Resumed request ${JSON.stringify(request.original_request_id)} after ${request.method} ${request._id}`);
   }
 
-  // Handle resource reads directly
-  async handleResourceRead(params) {
+  // Save fitness profile fields the user supplied in answer to `elicitation`.
+  // Declined, failed (null result) or invalid answers leave the profile as it was.
+  async applyProfileElicitation(elicitation, result) {
+    if (result?.action !== 'accept') {
+      console.log(`Fitness profile elicitation ended with ${result ? result.action : 'an error'}`);
+      return;
+    }
+
+    const fields = elicitation.requestedSchema.required;
+    const { values, errors } = validateProfileAnswers(fields, result.content);
+    if (errors.length > 0) {
+      this.log('warning', `Ignoring invalid fitness profile answers: ${errors.join('; ')}`);
+      return;
+    }
+
+    if (values.date_of_birth) values.date_of_birth = new Date(values.date_of_birth);
+    await UserFitnessProfile.updateOne({ user_id: this.userContext.userId }, { $set: values });
+    console.log(`Saved elicited fitness profile fields for user ${this.userContext.userId}:`, Object.keys(values));
+  }
+
+  // Run a request registered as in flight, so notifications/cancelled from
+  // this session can stop it. Requests outside a session can't be cancelled.
+  async runCancellable(requestId, run) {
+    if (!this.session || requestId === undefined || requestId === null) {
+      return await run(null);
+    }
+
+    await this.ensureDbConnection();
+    const cancellation = await registerRequest(this.session._id, requestId);
+    try {
+      return await run(cancellation);
+    } finally {
+      await cancellation.finish();
+    }
+  }
+
+  // Dispatch a JSON-RPC batch. Consecutive read-only requests run
+  // concurrently; anything that writes waits for earlier elements and runs on
+  // its own, so ordering between writes and reads is preserved. Notifications
+  // and client responses produce no entry in the returned array.
+  async handleBatch(messages) {
+    const responses = new Array(messages.length).fill(null);
+    let pending = [];
+
+    for (let i = 0; i < messages.length; i++) {
+      const run = async () => {
+        responses[i] = await this.handleBatchElement(messages[i]);
+      };
+
+      if (this.isReadOnlyMessage(messages[i])) {
+        pending.push(run());
+      } else {
+        await Promise.all(pending);
+        pending = [];
+        await run();
+      }
+    }
+
+    await Promise.all(pending);
+    return responses.filter(Boolean);
+  }
+
+  async handleBatchElement(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+      return jsonRpcError(message?.id ?? null, -32600, 'Invalid Request', 'Batch elements must be JSON-RPC 2.0 objects');
+    }
+
+    if (message.method === undefined) {
+      // A response to a server-initiated request; nothing to answer
+      if (message.result !== undefined || message.error !== undefined) {
+        await this.handleClientResponse(message);
+        return null;
+      }
+      return jsonRpcError(message.id ?? null, -32600, 'Invalid Request', 'Missing method');
+    }
+
+    if (typeof message.method !== 'string') {
+      return jsonRpcError(message.id ?? null, -32600, 'Invalid Request', 'Method must be a string');
+    }
+
+    if (message.method === 'initialize') {
+      return jsonRpcError(message.id ?? null, -32600, 'Invalid Request', 'initialize must not be part of a batch');
+    }
+
+    // Notifications never get a response
+    if (isNotification(message)) {
+      await this.handleNotification(message);
+      return null;
+    }
+
+    return await this.handleRequest(message);
+  }
+
+  // Act on a client notification. Unknown notifications are ignored, and
+  // failures are only logged since there is no one to report them to.
+  async handleNotification(message) {
+    const { method, params } = message;
+
+    try {
+      switch (method) {
+        case 'notifications/initialized':
+          console.log('Client finished initialization for session:', this.session?._id);
+          return;
+
+        case 'notifications/cancelled':
+          return await this.handleCancelled(params || {});
+
+        case 'notifications/roots/list_changed':
+          return this.handleRootsListChanged();
+
+        default:
+          console.log('Ignoring notification:', method);
+      }
+    } catch (error) {
+      console.error(`Error handling notification ${method}:`, error);
+    }
+  }
+
+  // The client gave up on one of its requests. The request is usually running
+  // in another invocation, which notices at its next cancellation check.
+  async handleCancelled({ requestId, reason }) {
+    console.log('Client cancelled request:', requestId, reason ? `(${reason})` : '');
+    if (!this.session || requestId === undefined) return;
+
+    await this.ensureDbConnection();
+    const cancelled = await cancelRequest(this.session._id, requestId, reason || null);
+    if (!cancelled) {
+      console.log('Ignoring cancellation for request that is not in flight:', requestId);
+    }
+  }
+
+  // We don't use client roots, so a changed list needs no refresh
+  handleRootsListChanged() {
+    console.log('Client roots changed for session:', this.session?._id);
+  }
+
+  isReadOnlyMessage(message) {
+    if (message?.method !== 'tools/call') return true;
+    return !isWriteTool(message.params?.name);
+  }
+
+  // Resolve a resource URI against the static resources and templates. Unknown
+  // URIs and missing documents are JSON-RPC errors; other failures come back
+  // as error text in the contents.
+  async handleResourceRead(params = {}) {
     const { uri } = params;
+    const resolved = resolveResourceUri(uri);
+    if (!resolved) {
+      throw new ResourceNotFoundError(uri);
+    }
+    assertResourceAllowed(this.userContext, resolved.entry);
 
     try {
       await this.ensureDbConnection();
 
-      switch (uri) {
-        case 'exercise://exercises':
-          return await this.getAllExercisesResource();
-        default:
-          throw new Error(`Unknown resource: ${uri}`);
+      const contents = await resolved.entry.read(this, resolved.variables, uri);
+      if (!contents) {
+        throw new ResourceNotFoundError(uri);
       }
+
+      return { contents: [contents] };
     } catch (error) {
+      if (error instanceof ResourceNotFoundError) throw error;
       return {
         contents: [
           {
@@ -899,83 +1520,318 @@ class StreamableHTTPMCPServer {
 // Export the class for testing
 module.exports = { StreamableHTTPMCPServer };
 
+// Case-insensitive header lookup; API Gateway lowercases header names but
+// serverless-offline passes them through as sent
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+// Headers that carry credentials, masked before headers are logged
+const REDACTED_HEADERS = ['authorization', 'x-api-key', 'cookie'];
+
+function redactHeaders(headers) {
+  if (!headers) return headers;
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name,
+    REDACTED_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : value
+  ]));
+}
+
+// Build a 401 JSON-RPC error response for a failed authentication, with a
+// Bearer challenge pointing clients at the protected resource metadata
+function authErrorResponse(error, origin, event) {
+  return {
+    statusCode: 401,
+    headers: {
+      'Content-Type': 'application/json',
+      'WWW-Authenticate': buildBearerChallenge(event, error),
+      ...corsHeaders(origin)
+    },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      error: {
+        code: error.code,
+        message: error.title,
+        data: {
+          reason: error.reason,
+          detail: error.message
+        }
+      },
+      id: null
+    })
+  };
+}
+
+// Build a 403 JSON-RPC error response for an authenticated but unauthorized request
+function forbiddenResponse(error, origin) {
+  return {
+    statusCode: 403,
+    headers: {
+      'Content-Type': 'application/json',
+      ...corsHeaders(origin)
+    },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      error: {
+        code: error.code,
+        message: error.message,
+        data: error.data
+      },
+      id: null
+    })
+  };
+}
+
+// Build a 429 response for a rate limited JSON-RPC request
+function rateLimitResponse(response, origin) {
+  return {
+    statusCode: 429,
+    headers: {
+      'Content-Type': 'application/json',
+      'Retry-After': String(response.error.data.retry_after),
+      ...corsHeaders(origin)
+    },
+    body: JSON.stringify(response)
+  };
+}
+
+const SESSION_NOT_FOUND_ERROR_CODE = -32004;
+
+// A message with a method but no id expects no response
+function isNotification(message) {
+  return typeof message?.method === 'string' && message.id === undefined;
+}
+
+// 202 with no body, for POSTs that only carry notifications or responses
+function acceptedResponse(origin) {
+  return {
+    statusCode: 202, // Accepted
+    headers: {
+      ...corsHeaders(origin)
+    },
+    body: ''
+  };
+}
+
+function formatSSEEvent(data, event = 'message', id = null) {
+  let message = '';
+  if (id) message += `id: ${id}\n`;
+  if (event) message += `event: ${event}\n`;
+  message += `data: ${JSON.stringify(data)}\n\n`;
+  return message;
+}
+
+// Cancellation handle for a tool call made through the SDK transport, which
+// aborts `signal` when the client sends notifications/cancelled
+function sdkCancellation(signal) {
+  if (!signal) return null;
+  return {
+    signal,
+    async throwIfCancelled() {
+      if (signal.aborted) throw new RequestCancelledError(signal.reason ? String(signal.reason) : null);
+    }
+  };
+}
+
+function jsonRpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function jsonRpcError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: '2.0', id: id ?? null, error };
+}
+
+// Send a JSON-RPC response (or batch of responses) as JSON or as an SSE
+// stream, depending on what the client accepts
+function jsonRpcHttpResponse(server, payload, { supportsJSON, supportsSSE, preferJSON, origin, sessionId }) {
+  console.log('Response handling - supportsSSE:', supportsSSE, 'supportsJSON:', supportsJSON);
+  const sessionHeaders = sessionId ? { [SESSION_HEADER]: sessionId } : {};
+  const notifications = server.notifications || [];
+
+  // Notifications can only travel on an SSE stream, so use one whenever there are any
+  if (supportsSSE && !(supportsJSON && preferJSON && notifications.length === 0)) {
+    // Return SSE stream with the notifications, then the response, one event per message
+    console.log('Sending SSE response');
+    const messages = Array.isArray(payload) ? payload : (payload ? [payload] : []);
+    
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        ...corsHeaders(origin),
+        ...sessionHeaders
+      },
+      // Every JSON-RPC message, responses included, is a `message` event: SDK
+      // clients ignore other event types
+      body: [
+        // Server requests carry their ID as the event ID, the Last-Event-ID to resume after
+        ...notifications.map(notification => server.formatSSEMessage(notification, 'message', notification.id)),
+        ...messages.map(message => server.formatSSEMessage(message, 'message', message.id))
+      ].join(''),
+      isBase64Encoded: false
+    };
+  }
+
+  // A cancelled request has no response to send
+  if (!payload) {
+    return acceptedResponse(origin);
+  }
+
+  // Return JSON response
+  console.log('Sending JSON response');
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      ...corsHeaders(origin),
+      ...sessionHeaders
+    },
+    body: JSON.stringify(payload)
+  };
+}
+
+// Plain JSON-RPC error with a transport-level HTTP status
+function jsonRpcErrorResponse(statusCode, error, origin) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      ...corsHeaders(origin)
+    },
+    body: JSON.stringify(error)
+  };
+}
+
+// Resolve the session named in the Mcp-Session-Id header and the protocol
+// version the request speaks. Returns { session, protocolVersion }, or the
+// HTTP response to send instead: 400 when the session header is missing or
+// the MCP-Protocol-Version header is unsupported or differs from the one
+// negotiated, 404 when the session is unknown, expired or another user's.
+async function requireSession(event, userContext, origin) {
+  const sessionId = getHeader(event.headers, SESSION_HEADER.toLowerCase());
+  const requestedVersion = getHeader(event.headers, PROTOCOL_VERSION_HEADER.toLowerCase());
+
+  if (requestedVersion && !isSupportedProtocolVersion(requestedVersion)) {
+    console.log('Unsupported protocol version header:', requestedVersion);
+    return {
+      response: jsonRpcErrorResponse(400, jsonRpcError(null, -32600, 'Unsupported protocol version', {
+        requested: requestedVersion,
+        supported: SUPPORTED_PROTOCOL_VERSIONS
+      }), origin)
+    };
+  }
+
+  if (!sessionId) {
+    return {
+      response: jsonRpcErrorResponse(400, jsonRpcError(null, -32600, 'Bad Request', `${SESSION_HEADER} header is required. Send an initialize request to start a session`), origin)
+    };
+  }
+
+  await StreamableHTTPMCPServer.connectToDatabase();
+  const session = await resumeSession(sessionId, userContext.userId);
+
+  if (!session) {
+    console.log('Session not found or expired:', sessionId);
+    return {
+      response: jsonRpcErrorResponse(404, jsonRpcError(null, SESSION_NOT_FOUND_ERROR_CODE, 'Session not found', 'The session has expired or been terminated. Send a new initialize request'), origin)
+    };
+  }
+
+  // Without the header we fall back to what the session negotiated
+  const protocolVersion = requestedVersion || session.protocol_version;
+  if (protocolVersion !== session.protocol_version) {
+    console.log(`Protocol version header ${requestedVersion} does not match negotiated ${session.protocol_version}`);
+    return {
+      response: jsonRpcErrorResponse(400, jsonRpcError(null, -32600, 'Protocol version mismatch', {
+        requested: requestedVersion,
+        negotiated: session.protocol_version
+      }), origin)
+    };
+  }
+
+  return { session, protocolVersion };
+}
+
+// Validate the Origin header, then authenticate the caller with a JWT or API
+// key, ahead of every POST, GET and DELETE. Returns { origin, userContext },
+// or { response } to send instead. Only a validated origin is echoed in CORS
+// headers.
+async function authorizeRequest(event, method) {
+  const requestOrigin = getHeader(event.headers, 'origin');
+  if (!isOriginAllowed(requestOrigin)) {
+    console.log(`Origin validation failed for ${method}:`, requestOrigin);
+    return {
+      response: {
+        statusCode: 403,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ error: 'Invalid origin' })
+      }
+    };
+  }
+  const origin = requestOrigin || null;
+
+  try {
+    const userContext = await StreamableHTTPMCPServer.authenticate(event.headers);
+    console.log(`Authentication successful for ${method}, user ID:`, userContext.userId);
+    return { origin, userContext };
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      console.log(`Authentication failed for ${method}:`, error.reason, error.message);
+      return { response: authErrorResponse(error, origin, event) };
+    }
+    if (error instanceof ForbiddenError) {
+      return { response: forbiddenResponse(error, origin) };
+    }
+    throw error;
+  }
+}
+
 // Streamable HTTP POST handler - for sending messages to server
-exports.mcpPost = async (event) => {
+// Handle a POST. `connection` is supplied by a long-running server that keeps
+// the HTTP response open (see mcp-http-server.js); its serverOptions(session,
+// { sse }) returns sendNotification/sendRequest to deliver messages while the
+// request runs. Lambda has none, so messages are buffered into the response.
+async function handlePost(event, connection = null) {
   console.log('MCP POST Handler called with:', {
     method: event.httpMethod,
     path: event.path,
-    headers: event.headers,
+    headers: redactHeaders(event.headers),
     body: event.body?.substring(0, 200) + '...'
   });
 
+  // Only echoed in CORS headers once it has passed validation
+  let origin = null;
+
   try {
-    // Extract and validate JWT token from Authorization header
-    const authorization = event.headers?.authorization || event.headers?.Authorization;
-    
-    if (!authorization) {
-      return {
-        statusCode: 401,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          error: {
-            code: -32001,
-            message: 'Authentication required',
-            data: 'Authorization header with Bearer token is required'
-          },
-          id: null
-        })
-      };
-    }
+    const access = await authorizeRequest(event, 'POST');
+    if (access.response) return access.response;
+    origin = access.origin;
+    const { userContext } = access;
 
-    // Validate JWT token and extract user context
-    let userContext;
+    // Parse the JSON-RPC message or batch
+    let payload;
     try {
-      userContext = StreamableHTTPMCPServer.validateJWTToken(authorization);
-      console.log('JWT validation successful, user ID:', userContext.userId);
+      payload = JSON.parse(event.body || '{}');
     } catch (error) {
+      console.log('Invalid JSON body:', error.message);
       return {
-        statusCode: 401,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          error: {
-            code: -32001,
-            message: 'Authentication failed',
-            data: error.message
-          },
-          id: null
-        })
-      };
-    }
-
-    // Create server instance with authenticated user context
-    const server = new StreamableHTTPMCPServer(userContext);
-    
-    // Validate Origin header for security
-    const origin = event.headers?.origin || event.headers?.Origin;
-    console.log('Origin validation:', { origin, isValid: server.validateOrigin(origin) });
-    
-    if (!server.validateOrigin(origin)) {
-      console.log('Origin validation failed');
-      return {
-        statusCode: 403,
+        statusCode: 400,
         headers: {
           'Content-Type': 'application/json',
+          ...corsHeaders(origin)
         },
-        body: JSON.stringify({ error: 'Invalid origin' })
+        body: JSON.stringify(jsonRpcError(null, -32700, 'Parse error', error.message))
       };
     }
-
-    // Parse the JSON-RPC message
-    const mcpMessage = JSON.parse(event.body || '{}');
-    console.log('Parsed MCP message:', mcpMessage);
+    console.log('Parsed MCP message:', payload);
     
     // Check Accept header
     const accept = event.headers?.accept || event.headers?.Accept || '';
@@ -993,296 +1849,98 @@ exports.mcpPost = async (event) => {
       };
     }
 
+    // Every message except initialize must belong to a live session
+    const isInitialize = !Array.isArray(payload) && payload?.method === 'initialize' && !isNotification(payload);
+    let session = null;
+    if (!isInitialize) {
+      const resolved = await requireSession(event, userContext, origin);
+      if (resolved.response) return resolved.response;
+      session = resolved.session;
+    }
+
+    // Create server instance with authenticated user context. Server requests
+    // such as elicitation only go out on the SSE stream of a single request.
+    const sse = supportsSSE && !Array.isArray(payload);
+    const server = new StreamableHTTPMCPServer(userContext, {
+      origin,
+      session,
+      sse,
+      ...(connection && session ? connection.serverOptions(session, { sse }) : {})
+    });
+
+    // Handle JSON-RPC batches
+    if (Array.isArray(payload)) {
+      const maxBatchSize = parseInt(process.env.MCP_MAX_BATCH_SIZE || '20', 10);
+      console.log(`Processing JSON-RPC batch of ${payload.length} messages`);
+
+      if (!supportsFeature(server.protocolVersion, 'batching')) {
+        console.log('Rejecting batch on protocol version', server.protocolVersion);
+        return jsonRpcErrorResponse(400, jsonRpcError(null, -32600, 'Invalid Request', `JSON-RPC batches are not supported in protocol version ${server.protocolVersion}`), origin);
+      }
+
+      if (payload.length === 0 || payload.length > maxBatchSize) {
+        const detail = payload.length === 0
+          ? 'Batch must contain at least one message'
+          : `Batch contains ${payload.length} messages, the maximum is ${maxBatchSize}`;
+        return {
+          statusCode: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(origin)
+          },
+          body: JSON.stringify(jsonRpcError(null, -32600, 'Invalid Request', detail))
+        };
+      }
+
+      const responses = await server.handleBatch(payload);
+
+      // A batch of only notifications and responses gets no body
+      if (responses.length === 0) {
+        return acceptedResponse(origin);
+      }
+
+      return jsonRpcHttpResponse(server, responses, { supportsJSON, supportsSSE, preferJSON: true, origin, sessionId: session._id });
+    }
+
+    const mcpMessage = payload || {};
+
     // Handle different message types
-    if (mcpMessage.method) {
+    if (isNotification(mcpMessage)) {
+      console.log('Processing JSON-RPC notification:', mcpMessage.method);
+      await server.handleNotification(mcpMessage);
+      return acceptedResponse(origin);
+    } else if (mcpMessage.method) {
       console.log('Processing JSON-RPC request:', mcpMessage.method);
       
-      // Handle the request directly instead of using server.request
-      let response;
-      
-      switch (mcpMessage.method) {
-        case 'initialize':
-          console.log('Handling initialize request');
-          response = {
-            jsonrpc: '2.0',
-            id: mcpMessage.id,
-            result: {
-              protocolVersion: '2025-06-18',
-              capabilities: {
-                tools: {},
-                resources: {},
-                prompts: {},
-                logging: {}
-              },
-              serverInfo: {
-                name: 'ms-exercise-mcp',
-                version: '1.0.0'
-              }
-            }
-          };
-          break;
-          
-        case 'tools/list':
-          console.log('Handling tools/list request');
-          response = {
-            jsonrpc: '2.0',
-            id: mcpMessage.id,
-            result: {
-              tools: [
-                {
-                  name: 'get_user_fitness_profile',
-                  description: 'Retrieve the authenticated user\'s fitness profile',
-                  inputSchema: {
-                    type: 'object',
-                    properties: {},
-                    required: []
-                  }
-                },
-                {
-                  name: 'create_workout_program',
-                  description: 'Create a workout program with multiple workouts in the database for the authenticated user',
-                  inputSchema: {
-                    type: 'object',
-                    properties: {
-                      program: {
-                        type: 'object',
-                        properties: {
-                          title: { type: 'string', description: 'Program title' },
-                          summary: { type: 'string', description: 'Program summary' },
-                          description: { type: 'string', description: 'Program description' },
-                          slug: { type: 'string', description: 'URL-friendly slug (optional, will be generated if not provided)' },
-                          categories: { type: 'array', items: { type: 'string' }, description: 'Array of category IDs' },
-                          creator: { type: 'string', description: 'Creator user ID' },
-                          is_premium: { type: 'boolean', description: 'Whether the program is premium', default: false },
-                          content_metadata: {
-                            type: 'object',
-                            properties: {
-                              duration_weeks: { type: 'string', description: 'Program duration in weeks' },
-                              frequency: { type: 'string', description: 'Workouts per week' },
-                              difficulty: { type: 'string', description: 'Program difficulty level' },
-                              workout_type: { type: 'string', description: 'Type of workout program' }
-                            }
-                          }
-                        },
-                        required: ['title', 'summary', 'description', 'creator']
-                      },
-                      workouts: {
-                        type: 'array',
-                        items: {
-                          type: 'object',
-                          properties: {
-                            title: { type: 'string', description: 'Workout title' },
-                            summary: { type: 'string', description: 'Workout summary' },
-                            description: { type: 'string', description: 'Workout description' },
-                            slug: { type: 'string', description: 'URL-friendly slug (optional, will be generated if not provided)' },
-                            categories: { type: 'array', items: { type: 'string' }, description: 'Array of category IDs' },
-                            creator: { type: 'string', description: 'Creator user ID' },
-                            is_premium: { type: 'boolean', description: 'Whether the workout is premium', default: false },
-                            content_metadata: {
-                              type: 'object',
-                              properties: {
-                                difficulty: { type: 'string', description: 'Workout difficulty level' },
-                                calories_burned: { type: 'string', description: 'Estimated calories burned' },
-                                location: { type: 'string', description: 'Workout location (e.g., home, gym)' },
-                                workout_type: { type: 'string', description: 'Type of workout' },
-                                total_duration: { type: 'number', description: 'Total workout duration in seconds' },
-                                exercise_count: { type: 'number', description: 'Number of exercises in workout' }
-                              }
-                            },
-                            sections: {
-                              type: 'array',
-                              items: {
-                                type: 'object',
-                                properties: {
-                                  label: { type: 'string', description: 'Section label' },
-                                  position: { type: 'number', description: 'Section position' },
-                                  items: {
-                                    type: 'array',
-                                    items: {
-                                      type: 'object',
-                                      properties: {
-                                        _id: { type: 'string', description: 'Exercise ID' },
-                                        position: { type: 'number', description: 'Exercise position' },
-                                        easy: { type: 'number', description: 'Duration for easy difficulty' },
-                                        medium: { type: 'number', description: 'Duration for medium difficulty' },
-                                        hard: { type: 'number', description: 'Duration for hard difficulty' }
-                                      },
-                                      required: ['_id', 'position', 'easy', 'medium', 'hard']
-                                    }
-                                  },
-                                  rest: { type: 'string', description: 'Rest time between exercises' },
-                                  reps: { type: 'string', description: 'Number of repetitions' }
-                                },
-                                required: ['label', 'position', 'items']
-                              }
-                            }
-                          },
-                          required: ['title', 'summary', 'description', 'creator', 'sections']
-                        },
-                        description: 'Array of workouts to create'
-                      },
-                      program_schedule: {
-                        type: 'array',
-                        items: {
-                          type: 'object',
-                          properties: {
-                            day: { type: 'number', description: 'Day number in the program' },
-                            workout_index: { type: 'number', description: 'Index of the workout in the workouts array' }
-                          },
-                          required: ['day', 'workout_index']
-                        },
-                        description: 'Schedule mapping days to workout indices'
-                      }
-                    },
-                    required: ['program', 'workouts', 'program_schedule']
-                  }
-                },
-                {
-                  name: 'list_all_exercises',
-                  description: 'List all exercises from the database with complete details',
-                  inputSchema: {
-                    type: 'object',
-                    properties: {},
-                    required: []
-                  }
-                }
-              ]
-            }
-          };
-          break;
-          
-        case 'resources/list':
-          console.log('Handling resources/list request');
-          response = {
-            jsonrpc: '2.0',
-            id: mcpMessage.id,
-            result: {
-              resources: [
-                {
-                  uri: 'exercise://exercises',
-                  name: 'All Exercises',
-                  description: 'Complete list of all published exercises',
-                  mimeType: 'application/json'
-                }
-              ]
-            }
-          };
-          break;
-          
-        case 'tools/call':
-          console.log('Handling tools/call request:', mcpMessage.params);
-          try {
-            console.log('About to call handleToolCall...');
-            const toolResult = await server.handleToolCall(mcpMessage.params);
-            console.log('handleToolCall completed, result:', toolResult ? 'success' : 'no result');
-            response = {
-              jsonrpc: '2.0',
-              id: mcpMessage.id,
-              result: toolResult
-            };
-            console.log('tools/call response prepared');
-          } catch (error) {
-            console.error('Error in tools/call:', error);
-            response = {
-              jsonrpc: '2.0',
-              id: mcpMessage.id,
-              error: {
-                code: -32603,
-                message: 'Internal error',
-                data: error.message
-              }
-            };
-          }
-          break;
-          
-        case 'resources/read':
-          console.log('Handling resources/read request:', mcpMessage.params);
-          const resourceResult = await server.handleResourceRead(mcpMessage.params);
-          response = {
-            jsonrpc: '2.0',
-            id: mcpMessage.id,
-            result: resourceResult
-          };
-          break;
-          
-        default:
-          console.log('Unknown method:', mcpMessage.method);
-          response = {
-            jsonrpc: '2.0',
-            id: mcpMessage.id,
-            error: {
-              code: -32601,
-              message: 'Method not found',
-              data: `Unknown method: ${mcpMessage.method}`
-            }
-          };
-      }
-      
+      const response = await server.handleRequest(mcpMessage);
       console.log('Generated response:', response);
-      console.log('Response handling - supportsSSE:', supportsSSE, 'supportsJSON:', supportsJSON);
+
+      // A single rate limited request is answered with HTTP 429
+      if (response?.error?.code === RATE_LIMIT_ERROR_CODE) {
+        return rateLimitResponse(response, origin);
+      }
+
+      // A successful initialize starts a new session
+      if (isInitialize && response?.result) {
+        session = await createSession({
+          userId: userContext.userId,
+          protocolVersion: response.result.protocolVersion,
+          clientInfo: mcpMessage.params?.clientInfo,
+          clientCapabilities: mcpMessage.params?.capabilities,
+          serverCapabilities: response.result.capabilities
+        });
+        console.log('Session created:', session._id);
+      }
       
       // For MCP protocol methods, prefer JSON responses for better compatibility
-      const preferJSON = ['initialize', 'tools/list', 'resources/list', 'tools/call', 'resources/read'].includes(mcpMessage.method);
+      const preferJSON = ['initialize', 'ping', 'tools/list', 'resources/list', 'resources/templates/list', 'tools/call', 'resources/read', 'prompts/list', 'prompts/get', 'logging/setLevel', 'completion/complete'].includes(mcpMessage.method);
       console.log('Method:', mcpMessage.method, 'preferJSON:', preferJSON);
       
-      if (supportsJSON && (preferJSON || !supportsSSE)) {
-        // Return JSON response
-        console.log('Sending JSON response');
-        return {
-          statusCode: 200,
-          headers: {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'Content-Type, Accept, Origin, Authorization',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-          },
-          body: JSON.stringify(response)
-        };
-      } else if (supportsSSE) {
-        // Return SSE stream with the response
-        console.log('Sending SSE response');
-        const sessionId = Date.now().toString();
-        const sseResponse = server.formatSSEMessage(response, 'response', mcpMessage.id);
-        
-        return {
-          statusCode: 200,
-          headers: {
-            'Content-Type': 'text/event-stream',
-            'Cache-Control': 'no-cache',
-            'Connection': 'keep-alive',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'Content-Type, Accept, Origin, Authorization',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-            'X-Session-ID': sessionId
-          },
-          body: sseResponse,
-          isBase64Encoded: false
-        };
-      } else {
-        // Fallback to JSON
-        console.log('Fallback to JSON response');
-        return {
-          statusCode: 200,
-          headers: {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'Content-Type, Accept, Origin, Authorization',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-          },
-          body: JSON.stringify(response)
-        };
-      }
+      return jsonRpcHttpResponse(server, response, { supportsJSON, supportsSSE, preferJSON, origin, sessionId: session?._id });
     } else if (mcpMessage.result !== undefined || mcpMessage.error !== undefined) {
-      // This is a JSON-RPC response or notification
-      return {
-        statusCode: 202, // Accepted
-        headers: {
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Accept, Origin',
-          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-        },
-        body: ''
-      };
+      // A response to a server-initiated request
+      await server.handleClientResponse(mcpMessage);
+      return acceptedResponse(origin);
     } else {
       return {
         statusCode: 400,
@@ -1298,7 +1956,7 @@ exports.mcpPost = async (event) => {
       statusCode: 500,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        ...corsHeaders(origin)
       },
       body: JSON.stringify({
         jsonrpc: '2.0',
@@ -1311,84 +1969,72 @@ exports.mcpPost = async (event) => {
       })
     };
   }
-};
+}
+
+exports.mcpPost = async (event) => handlePost(event);
 
 // Streamable HTTP GET handler - for listening to server messages via SSE
 exports.mcpGet = async (event) => {
+  // Only echoed in CORS headers once it has passed validation
+  let origin = null;
+
   try {
-    // Extract and validate JWT token from Authorization header
-    const authorization = event.headers?.authorization || event.headers?.Authorization;
-    
-    if (!authorization) {
-      return {
-        statusCode: 401,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({ error: 'Authentication required - Authorization header with Bearer token is required' })
-      };
-    }
+    const access = await authorizeRequest(event, 'GET');
+    if (access.response) return access.response;
+    origin = access.origin;
+    const { userContext } = access;
 
-    // Validate JWT token and extract user context
-    let userContext;
-    try {
-      userContext = StreamableHTTPMCPServer.validateJWTToken(authorization);
-      console.log('JWT validation successful for GET, user ID:', userContext.userId);
-    } catch (error) {
+    // Check Accept header
+    const accept = event.headers?.accept || event.headers?.Accept || '';
+    if (!accept.includes('text/event-stream')) {
       return {
-        statusCode: 401,
+        statusCode: 405,
         headers: {
           'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
+          'Allow': 'POST'
         },
-        body: JSON.stringify({ error: 'Authentication failed: ' + error.message })
+        body: JSON.stringify({ error: 'Method Not Allowed - must accept text/event-stream' })
       };
     }
 
+    // The stream belongs to an existing session
+    const resolved = await requireSession(event, userContext, origin);
+    if (resolved.response) return resolved.response;
+    const sessionId = resolved.session._id;
+
     // Create server instance with authenticated user context
-    const server = new StreamableHTTPMCPServer(userContext);
-    
-    // Validate Origin header for security
-    const origin = event.headers?.origin || event.headers?.Origin;
-    if (!server.validateOrigin(origin)) {
-      return {
-        statusCode: 403,
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ error: 'Invalid origin' })
-      };
-    }
+    const server = new StreamableHTTPMCPServer(userContext, { origin, session: resolved.session });
 
-    // Check Accept header
-    const accept = event.headers?.accept || event.headers?.Accept || '';
-    if (!accept.includes('text/event-stream')) {
+    // Resuming after a server request: replay the response that waited on it
+    const lastEventId = getHeader(event.headers, 'last-event-id');
+    if (lastEventId) {
+      await server.ensureDbConnection();
+      const messages = await getReplayMessages(sessionId, lastEventId);
+      console.log(`GET resuming after event ${lastEventId}:`, messages ? `${messages.length} messages` : 'nothing to replay');
       return {
-        statusCode: 405,
+        statusCode: 200,
         headers: {
-          'Content-Type': 'application/json',
-          'Allow': 'POST'
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          ...corsHeaders(origin),
+          [SESSION_HEADER]: sessionId
         },
-        body: JSON.stringify({ error: 'Method Not Allowed - must accept text/event-stream' })
+        body: (messages || []).map(message => server.formatSSEMessage(message)).join(''),
+        isBase64Encoded: false
       };
     }
-
-    // Create SSE stream for server-initiated messages
-    const sessionId = Date.now().toString();
     
-    // For now, just return an empty SSE stream
-    // In a full implementation, this would maintain persistent connections
+    // Lambda can't hold the stream open, so it ends after the connected
+    // event. mcp-http-server.js keeps it open for server-initiated messages.
     return {
       statusCode: 200,
       headers: {
         'Content-Type': 'text/event-stream',
         'Cache-Control': 'no-cache',
         'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Accept, Origin',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'X-Session-ID': sessionId
+        ...corsHeaders(origin),
+        [SESSION_HEADER]: sessionId
       },
       body: server.formatSSEMessage({ type: 'connected', sessionId }, 'connected'),
       isBase64Encoded: false
@@ -1401,7 +2047,46 @@ exports.mcpGet = async (event) => {
       statusCode: 500,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        ...corsHeaders(origin)
+      },
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Streamable HTTP DELETE handler - for explicitly terminating a session
+exports.mcpDelete = async (event) => {
+  // Only echoed in CORS headers once it has passed validation
+  let origin = null;
+
+  try {
+    const access = await authorizeRequest(event, 'DELETE');
+    if (access.response) return access.response;
+    origin = access.origin;
+    const { userContext } = access;
+
+    const resolved = await requireSession(event, userContext, origin);
+    if (resolved.response) return resolved.response;
+
+    await terminateSession(resolved.session._id, userContext.userId);
+    console.log('Session terminated:', resolved.session._id);
+
+    return {
+      statusCode: 204,
+      headers: {
+        ...corsHeaders(origin)
+      },
+      body: ''
+    };
+
+  } catch (error) {
+    console.error('MCP DELETE Handler Error:', error);
+
+    return {
+      statusCode: 500,
+      headers: {
+        'Content-Type': 'application/json',
+        ...corsHeaders(origin)
       },
       body: JSON.stringify({ error: error.message })
     };
@@ -1410,14 +2095,46 @@ exports.mcpGet = async (event) => {
 
 // Handle OPTIONS requests for CORS
 exports.mcpOptions = async (event) => {
+  const origin = event.headers?.origin || event.headers?.Origin;
+
+  if (!isOriginAllowed(origin)) {
+    return {
+      statusCode: 403,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ error: 'Invalid origin' })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: corsHeaders(origin),
+    body: ''
+  };
+};
+
+// OAuth protected resource metadata (RFC 9728) so MCP clients can discover
+// which authorization server issues tokens for this server
+exports.mcpProtectedResourceMetadata = async (event) => {
+  const metadata = buildResourceMetadata(event);
+  if (!metadata) {
+    return {
+      statusCode: 404,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Not found' })
+    };
+  }
+
   return {
     statusCode: 200,
     headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type, Accept, Origin, Authorization',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+      'Content-Type': 'application/json',
+      'Cache-Control': 'public, max-age=3600',
+      // Public discovery document, readable from any origin
+      'Access-Control-Allow-Origin': '*'
     },
-    body: ''
+    body: JSON.stringify(metadata)
   };
 };
 
@@ -1425,5 +2142,9 @@ module.exports = {
   StreamableHTTPMCPServer,
   mcpPost: exports.mcpPost,
   mcpGet: exports.mcpGet,
-  mcpOptions: exports.mcpOptions
+  mcpDelete: exports.mcpDelete,
+  mcpOptions: exports.mcpOptions,
+  mcpProtectedResourceMetadata: exports.mcpProtectedResourceMetadata,
+  handlePost,
+  formatSSEEvent
 };
@@ -0,0 +1,429 @@
+const { InvalidParamsError, validateSchema } = require('./mcp-schema');
+const { LATEST_PROTOCOL_VERSION, supportsFeature } = require('./mcp-protocol');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./mcp-pagination');
+
+// Single registry of MCP tools. Listing, dispatch, argument validation,
+// authorization and the generated TOOLS.md all derive from these entries, so
+// a new tool is added here and nowhere else.
+//
+// Each entry declares:
+//   name, title, description, inputSchema, outputSchema, annotations - sent
+//              to clients in tools/list. Every tool declares all four
+//              annotation hints; read-only tokens may only call tools with
+//              readOnlyHint: true (see mcp-policy.js)
+//   scopes   - scopes the caller needs (see mcp-policy.js)
+//   handler  - (server, args, context) => tool result, built with
+//              structuredResult() so it matches outputSchema
+
+const nullable = (type, description) => ({ type: [type, 'null'], description });
+
+const EXERCISE_OUTPUT = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', description: 'Exercise ID' },
+    slug: nullable('string', 'URL-friendly slug'),
+    title: { type: 'string', description: 'English title' },
+    description: nullable('string', 'English description'),
+    media: nullable('array', 'Media attached to the exercise'),
+    content_metadata: nullable('object', 'Exercise metadata such as duration and difficulty')
+  },
+  required: ['id', 'title']
+};
+
+const TOOLS = [
+  {
+    name: 'get_user_fitness_profile',
+    title: 'Get my fitness profile',
+    description: 'Retrieve the authenticated user\'s fitness profile',
+    scopes: ['profile:read'],
+    annotations: {
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false
+    },
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', description: 'Whether a fitness profile was found' },
+        message: { type: 'string', description: 'Why no profile was returned' },
+        user_id: { type: 'string', description: 'Authenticated user ID' },
+        fitness_profile: {
+          type: 'object',
+          properties: {
+            fitness_target: { description: 'Fitness goal' },
+            gender: { description: 'Gender' },
+            current_weight: { description: 'Current weight in kg' },
+            fitness_level: { description: 'Fitness or activity level' },
+            age: nullable('integer', 'Age in years, from date of birth'),
+            height: { description: 'Height in cm' },
+            target_weight: { description: 'Target weight in kg' },
+            bmi: nullable('number', 'Body mass index'),
+            bmr: nullable('number', 'Basal metabolic rate in kcal/day (Mifflin-St Jeor)'),
+            physical_limitations: { type: 'boolean', description: 'Whether the user reported physical limitations or medical conditions' }
+          },
+          required: ['age', 'bmi', 'bmr', 'physical_limitations']
+        }
+      },
+      required: ['success', 'user_id']
+    },
+    handler: (server, args, context) => server.getUserFitnessProfile(args, context)
+  },
+  {
+    name: 'create_workout_program',
+    title: 'Create workout program',
+    description: 'Create a workout program with multiple workouts in the database for the authenticated user',
+    scopes: ['programs:write'],
+    // Adds new documents on every call and never changes existing ones
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false
+    },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        program: {
+          type: 'object',
+          properties: {
+            title: { type: 'string', description: 'Program title' },
+            summary: { type: 'string', description: 'Program summary' },
+            description: { type: 'string', description: 'Program description' },
+            slug: { type: 'string', description: 'URL-friendly slug (optional, will be generated if not provided)' },
+            categories: { type: 'array', items: { type: 'string' }, description: 'Array of category IDs' },
+            creator: { type: 'string', description: 'Creator user ID. Only admins and delegated coaches may set this; defaults to the authenticated user' },
+            is_premium: { type: 'boolean', description: 'Whether the program is premium', default: false },
+            content_metadata: {
+              type: 'object',
+              properties: {
+                duration_weeks: { type: 'string', description: 'Program duration in weeks' },
+                frequency: { type: 'string', description: 'Workouts per week' },
+                difficulty: { type: 'string', description: 'Program difficulty level' },
+                workout_type: { type: 'string', description: 'Type of workout program' }
+              }
+            }
+          },
+          required: ['title', 'summary', 'description']
+        },
+        workouts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              title: { type: 'string', description: 'Workout title' },
+              summary: { type: 'string', description: 'Workout summary' },
+              description: { type: 'string', description: 'Workout description' },
+              slug: { type: 'string', description: 'URL-friendly slug (optional, will be generated if not provided)' },
+              categories: { type: 'array', items: { type: 'string' }, description: 'Array of category IDs' },
+              creator: { type: 'string', description: 'Creator user ID. Only admins and delegated coaches may set this; defaults to the authenticated user' },
+              is_premium: { type: 'boolean', description: 'Whether the workout is premium', default: false },
+              content_metadata: {
+                type: 'object',
+                properties: {
+                  difficulty: { type: 'string', description: 'Workout difficulty level' },
+                  calories_burned: { type: 'string', description: 'Estimated calories burned' },
+                  location: { type: 'string', description: 'Workout location (e.g., home, gym)' },
+                  workout_type: { type: 'string', description: 'Type of workout' },
+                  total_duration: { type: 'number', description: 'Total workout duration in seconds' },
+                  exercise_count: { type: 'number', description: 'Number of exercises in workout' }
+                }
+              },
+              sections: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    label: { type: 'string', description: 'Section label' },
+                    position: { type: 'number', description: 'Section position' },
+                    items: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          _id: { type: 'string', description: 'Exercise ID' },
+                          position: { type: 'number', description: 'Exercise position' },
+                          easy: { type: 'number', description: 'Duration for easy difficulty' },
+                          medium: { type: 'number', description: 'Duration for medium difficulty' },
+                          hard: { type: 'number', description: 'Duration for hard difficulty' }
+                        },
+                        required: ['_id', 'position', 'easy', 'medium', 'hard']
+                      }
+                    },
+                    rest: { type: 'string', description: 'Rest time between exercises' },
+                    reps: { type: 'string', description: 'Number of repetitions' }
+                  },
+                  required: ['label', 'position', 'items']
+                }
+              }
+            },
+            required: ['title', 'summary', 'description', 'sections']
+          },
+          description: 'Array of workouts to create'
+        },
+        program_schedule: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              day: { type: 'number', description: 'Day number in the program' },
+              workout_index: { type: 'number', description: 'Index of the workout in the workouts array' }
+            },
+            required: ['day', 'workout_index']
+          },
+          description: 'Schedule mapping days to workout indices'
+        }
+      },
+      required: ['program', 'workouts', 'program_schedule']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', description: 'Always true; failures are returned as errors' },
+        authenticated_user: { type: 'string', description: 'Authenticated user ID' },
+        program: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: 'Program ID' },
+            title: { type: 'string', description: 'Program title' },
+            slug: { type: 'string', description: 'Program slug' },
+            creator: { type: 'string', description: 'User the program is attributed to' },
+            created_at: { type: 'string', description: 'Creation time (ISO 8601)' }
+          },
+          required: ['id', 'title', 'slug', 'creator']
+        },
+        workouts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', description: 'Workout ID' },
+              title: { type: 'string', description: 'Workout title' },
+              slug: { type: 'string', description: 'Workout slug' },
+              created_at: { type: 'string', description: 'Creation time (ISO 8601)' }
+            },
+            required: ['id', 'title', 'slug']
+          },
+          description: 'Created workouts, in the order given'
+        },
+        schedule: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              day: { type: 'number', description: 'Day number in the program' },
+              duration: { type: 'number', description: 'Workout duration in seconds' },
+              workout: { type: 'string', description: 'Workout ID' }
+            },
+            required: ['day', 'workout']
+          },
+          description: 'Program days mapped to created workout IDs'
+        },
+        creator_overrides: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', description: 'Workout or program ID' },
+              item_type: { type: 'string', description: 'workouts or workout-program' },
+              creator: { type: 'string', description: 'User the item is attributed to' },
+              by: { type: 'string', description: 'User who set the creator' },
+              via: { type: 'string', enum: ['admin', 'delegated_coach'], description: 'Why the override was allowed' }
+            },
+            required: ['id', 'creator', 'by', 'via']
+          },
+          description: 'Items attributed to someone other than the caller'
+        },
+        message: { type: 'string', description: 'Human-readable summary' }
+      },
+      required: ['success', 'program', 'workouts', 'schedule', 'creator_overrides']
+    },
+    handler: (server, args, context) => server.createWorkoutProgram(args, context)
+  },
+  {
+    name: 'list_all_exercises',
+    title: 'List exercises',
+    description: 'List exercises from the database with complete details, one page at a time. Pass nextCursor back as cursor to get the next page.',
+    scopes: ['exercises:read'],
+    annotations: {
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false
+    },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cursor: { type: 'string', description: 'Opaque cursor from a previous call\'s nextCursor; omit for the first page' },
+        pageSize: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, description: `Exercises per page (1-${MAX_PAGE_SIZE})`, default: DEFAULT_PAGE_SIZE }
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', description: 'Always true; failures are returned as errors' },
+        exercises: { type: 'array', items: EXERCISE_OUTPUT, description: 'Exercises with their English title and description' },
+        total: { type: 'integer', description: 'Number of exercises on this page' },
+        nextCursor: { type: 'string', description: 'Cursor for the next page; absent on the last page' }
+      },
+      required: ['success', 'exercises', 'total']
+    },
+    handler: (server, args) => server.listAllExercises(args)
+  },
+  {
+    name: 'get_audit_log',
+    title: 'Get audit log',
+    description: 'Query the audit log of mutating tool calls (admin only), newest first',
+    scopes: ['audit:read'],
+    annotations: {
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false
+    },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        user_id: { type: 'string', description: 'Only entries for this user ID' },
+        tool: { type: 'string', description: 'Only entries for this tool name' },
+        from: { type: 'string', description: 'Earliest entry date (ISO 8601)' },
+        to: { type: 'string', description: 'Latest entry date (ISO 8601)' },
+        limit: { type: 'number', description: 'Maximum number of entries to return (1-200)', default: 50 }
+      },
+      required: []
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', description: 'Always true; failures are returned as errors' },
+        entries: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', description: 'Entry ID' },
+              user_id: { type: 'string', description: 'User the call was made as' },
+              token_subject: nullable('string', 'JWT subject of the caller'),
+              origin: nullable('string', 'Request origin'),
+              tool: { type: 'string', description: 'Tool name' },
+              arguments_hash: { type: 'string', description: 'SHA-256 of the JSON arguments' },
+              created_ids: { type: 'array', items: { type: 'string' }, description: 'Documents the call inserted' },
+              outcome: { type: 'string', enum: ['success', 'error', 'forbidden', 'rate_limited', 'cancelled'], description: 'How the call ended' },
+              error: nullable('string', 'Error message for failed calls'),
+              duration_ms: { type: 'number', description: 'Call duration in milliseconds' },
+              created_at: { type: 'string', description: 'Call time (ISO 8601)' }
+            },
+            required: ['id', 'user_id', 'tool', 'outcome', 'created_at']
+          },
+          description: 'Matching entries, newest first'
+        },
+        total: { type: 'integer', description: 'Number of entries returned' }
+      },
+      required: ['success', 'entries', 'total']
+    },
+    handler: (server, args) => server.getAuditLog(args)
+  }
+];
+
+const ANNOTATION_HINTS = ['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+
+// Fail at load time rather than advertise a tool clients can't classify
+for (const tool of TOOLS) {
+  const undeclared = ANNOTATION_HINTS.filter(hint => typeof tool.annotations?.[hint] !== 'boolean');
+  if (!tool.title || undeclared.length > 0) {
+    throw new Error(`Tool ${tool.name} must declare a title and ${ANNOTATION_HINTS.join(', ')}; missing ${[...(tool.title ? [] : ['title']), ...undeclared].join(', ')}`);
+  }
+}
+
+const TOOLS_BY_NAME = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+function getTool(name) {
+  return TOOLS_BY_NAME.get(name) || null;
+}
+
+function getAllTools() {
+  return TOOLS;
+}
+
+// The part of a tool entry clients see in tools/list, limited to the fields
+// the negotiated protocol version knows about
+function toToolDefinition(tool, protocolVersion = LATEST_PROTOCOL_VERSION) {
+  const definition = {
+    name: tool.name,
+    description: tool.description,
+    inputSchema: tool.inputSchema
+  };
+
+  if (tool.title && supportsFeature(protocolVersion, 'titles')) {
+    definition.title = tool.title;
+  }
+  if (tool.outputSchema && supportsFeature(protocolVersion, 'structuredOutput')) {
+    definition.outputSchema = tool.outputSchema;
+  }
+  if (tool.annotations && supportsFeature(protocolVersion, 'toolAnnotations')) {
+    definition.annotations = tool.annotations;
+    // Before top-level titles, the display name lived in the annotations
+    if (!supportsFeature(protocolVersion, 'titles')) {
+      definition.annotations = { title: tool.title, ...tool.annotations };
+    }
+  }
+
+  return definition;
+}
+
+// Tools that change data are rate limited and audited as writes
+function isWriteTool(name) {
+  const tool = getTool(name);
+  return Boolean(tool) && tool.annotations.readOnlyHint === false;
+}
+
+// Build a tool result carrying `data` as structuredContent, plus the same JSON
+// as text for clients that predate structured output. Round-tripping through
+// JSON turns dates and ObjectIds into the strings clients will actually see.
+function structuredResult(data) {
+  const structuredContent = JSON.parse(JSON.stringify(data));
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(structuredContent, null, 2)
+      }
+    ],
+    structuredContent
+  };
+}
+
+// Check a successful result against the tool's outputSchema before it is sent
+function validateToolOutput(tool, result) {
+  if (!tool.outputSchema || result?.isError) return [];
+
+  if (result?.structuredContent === undefined) {
+    return ['structuredContent: is required by the tool\'s outputSchema'];
+  }
+  return validateSchema(tool.outputSchema, result.structuredContent, 'structuredContent');
+}
+
+// Check arguments against the tool's inputSchema before the handler runs
+function validateToolArguments(tool, args) {
+  const errors = validateSchema(tool.inputSchema, args ?? {}, 'arguments');
+
+  if (errors.length > 0) {
+    throw new InvalidParamsError(`Invalid arguments for tool ${tool.name}: ${errors.join('; ')}`, errors);
+  }
+}
+
+module.exports = {
+  getTool,
+  getAllTools,
+  toToolDefinition,
+  isWriteTool,
+  structuredResult,
+  validateToolOutput,
+  validateToolArguments
+};
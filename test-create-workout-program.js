@@ -129,6 +129,9 @@ async function testCreateWorkoutProgram() {
 
     // Parse the result
     const response = JSON.parse(result.content[0].text);
+    if (JSON.stringify(result.structuredContent) !== JSON.stringify(response)) {
+      throw new Error('structuredContent does not match the text content');
+    }
     
     if (response.success) {
       console.log('🎉 SUCCESS! Workout program created successfully:');
@@ -165,7 +168,12 @@ async function testCreateWorkoutProgram() {
 async function testValidation() {
   console.log('\n🔍 Testing validation scenarios...\n');
   
-  const server = new StreamableHTTPMCPServer();
+  const server = new StreamableHTTPMCPServer({
+    userId: 'test-user-id-456',
+    scopes: ['programs:write'],
+    roles: [],
+    delegatedCreators: []
+  });
   
   const testCases = [
     {
@@ -190,6 +198,15 @@ async function testValidation() {
         program_schedule: [{ day: 1, workout_index: 5 }]
       },
       expectedError: 'Invalid workout_index'
+    },
+    {
+      name: 'Creator override without admin or delegated coach claim',
+      data: {
+        program: { title: 'Test', summary: 'Test', description: 'Test', creator: 'someone-else' },
+        workouts: [{ title: 'Test', summary: 'Test', description: 'Test', sections: [] }],
+        program_schedule: [{ day: 1, workout_index: 0 }]
+      },
+      expectedError: 'may not create content on behalf of'
     }
   ];
 
@@ -0,0 +1,93 @@
+const { validateSchema } = require('./mcp-schema');
+
+// Checks for the JSON Schema subset in mcp-schema.js, which validates every
+// tool's arguments and structured output. Runs without a server or database.
+
+let failures = 0;
+
+function check(description, schema, value, expectedErrors) {
+  const errors = validateSchema(schema, value, 'value');
+  const passed = JSON.stringify(errors) === JSON.stringify(expectedErrors);
+  if (passed) {
+    console.log(`   ✅ ${description}`);
+  } else {
+    failures++;
+    console.log(`   ❌ ${description}`);
+    console.log(`      Expected: ${JSON.stringify(expectedErrors)}`);
+    console.log(`      Got:      ${JSON.stringify(errors)}`);
+  }
+}
+
+function testTypes() {
+  console.log('1. Testing type and nullable types...');
+  const nullableString = { type: ['string', 'null'] };
+  check('string accepted by ["string", "null"]', nullableString, 'squat', []);
+  check('null accepted by ["string", "null"]', nullableString, null, []);
+  check('number rejected by ["string", "null"]', nullableString, 3, ['value: expected string or null, got integer']);
+  check('null rejected by a plain array type', { type: 'array' }, null, ['value: expected array, got null']);
+  check('null accepted by ["array", "null"]', { type: ['array', 'null'] }, null, []);
+  check('array is not an object', { type: 'object' }, [], ['value: expected object, got array']);
+}
+
+function testNumbers() {
+  console.log('\n2. Testing integer vs number...');
+  check('integer accepted as number', { type: 'number' }, 3, []);
+  check('fraction accepted as number', { type: 'number' }, 3.5, []);
+  check('fraction rejected as integer', { type: 'integer' }, 3.5, ['value: expected integer, got number']);
+  check('numeric string rejected as integer', { type: 'integer' }, '3', ['value: expected integer, got string']);
+  check('minimum and maximum', { type: 'integer', minimum: 1, maximum: 7 }, 8, ['value: must be <= 7']);
+  check('enum', { type: 'string', enum: ['home', 'gym'] }, 'pool', ['value: must be one of "home", "gym"']);
+}
+
+function testObjects() {
+  console.log('\n3. Testing required and additionalProperties...');
+  const schema = {
+    type: 'object',
+    properties: { name: { type: 'string' }, weeks: { type: 'integer' } },
+    required: ['name'],
+    additionalProperties: false
+  };
+  check('valid object', schema, { name: 'Plan', weeks: 4 }, []);
+  check('missing required field', schema, { weeks: 4 }, ['value.name: is required']);
+  check('undefined counts as missing', schema, { name: undefined }, ['value.name: is required']);
+  check('unknown field rejected', schema, { name: 'Plan', extra: true }, ['value.extra: is not allowed']);
+  check('unknown field allowed without additionalProperties', { type: 'object', properties: {} }, { extra: true }, []);
+  check('additionalProperties schema applied to unknown fields',
+    { type: 'object', additionalProperties: { type: 'number' } }, { a: 1, b: 'x' }, ['value.b: expected number, got string']);
+}
+
+function testNesting() {
+  console.log('\n4. Testing nested items and properties...');
+  const schema = {
+    type: 'object',
+    properties: {
+      workouts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            media: { type: ['array', 'null'], items: { type: 'string' } }
+          },
+          required: ['title']
+        }
+      }
+    }
+  };
+  check('valid nested array', schema, { workouts: [{ title: 'A', media: null }, { title: 'B', media: ['x'] }] }, []);
+  check('errors carry the item path', schema, { workouts: [{ title: 'A' }, { media: [1] }] }, [
+    'value.workouts[1].title: is required',
+    'value.workouts[1].media[0]: expected string, got integer'
+  ]);
+}
+
+testTypes();
+testNumbers();
+testObjects();
+testNesting();
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} schema check(s) failed`);
+  process.exit(1);
+}
+console.log('\n🎉 Schema validation tests passed!');
@@ -1,9 +1,21 @@
 const https = require('https');
 const http = require('http');
+const { isOriginAllowed } = require('./mcp-cors');
+const { encodeCursor, decodeCursor, pageStages, pageResult } = require('./mcp-pagination');
+const { StreamableHTTPMCPServer } = require('./mcp-streamable-handler');
 
 class StreamableHTTPTester {
   constructor(baseUrl = 'http://localhost:3001') {
     this.baseUrl = baseUrl;
+    this.sessionId = null; // Set from the Mcp-Session-Id header returned by initialize
+    this.protocolVersion = null; // Negotiated in initialize
+  }
+
+  sessionHeaders() {
+    const headers = {};
+    if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+    if (this.protocolVersion) headers['MCP-Protocol-Version'] = this.protocolVersion;
+    return headers;
   }
 
   async testPOSTRequest(message, acceptHeader = 'application/json') {
@@ -20,7 +32,8 @@ class StreamableHTTPTester {
           'Content-Type': 'application/json',
           'Accept': acceptHeader,
           'Origin': 'http://localhost:3001',
-          'Content-Length': Buffer.byteLength(postData)
+          'Content-Length': Buffer.byteLength(postData),
+          ...this.sessionHeaders()
         }
       };
 
@@ -51,6 +64,14 @@ class StreamableHTTPTester {
   }
 
   async testGETRequest() {
+    return this.testRequest('GET', { 'Accept': 'text/event-stream' });
+  }
+
+  async testDELETERequest() {
+    return this.testRequest('DELETE');
+  }
+
+  async testRequest(method, headers = {}) {
     return new Promise((resolve, reject) => {
       const url = new URL(`${this.baseUrl}/mcp`);
       
@@ -58,10 +79,11 @@ class StreamableHTTPTester {
         hostname: url.hostname,
         port: url.port,
         path: url.pathname,
-        method: 'GET',
+        method,
         headers: {
-          'Accept': 'text/event-stream',
-          'Origin': 'http://localhost:3001'
+          ...headers,
+          'Origin': 'http://localhost:3001',
+          ...this.sessionHeaders()
         }
       };
 
@@ -90,11 +112,166 @@ class StreamableHTTPTester {
     });
   }
 
+  // Origin allowlist checks run in-process against mcp-cors.js, with their own
+  // MCP_ALLOWED_ORIGINS and MCP_DEV_MODE, so they don't depend on the server's
+  testOriginValidation() {
+    const saved = { allowed: process.env.MCP_ALLOWED_ORIGINS, devMode: process.env.MCP_DEV_MODE };
+    process.env.MCP_ALLOWED_ORIGINS = 'https://claude.ai,https://*.example.com';
+
+    const cases = [
+      // [origin, dev mode, expected]
+      ['https://claude.ai', 'false', true],
+      ['https://claude.ai.evil.com', 'false', false],
+      ['https://localhost.evil.com', 'true', false],
+      ['http://localhost.evil.com:3001', 'true', false],
+      ['http://localhost:3001', 'true', true],
+      ['http://localhost:3001', 'false', false],
+      ['https://app.example.com', 'false', true],
+      ['https://a.b.example.com', 'false', true],
+      ['https://example.com', 'false', false],
+      ['https://evilexample.com', 'false', false],
+      ['http://app.example.com', 'false', false]
+    ];
+
+    const failures = [];
+    try {
+      for (const [origin, devMode, expected] of cases) {
+        process.env.MCP_DEV_MODE = devMode;
+        if (isOriginAllowed(origin) !== expected) {
+          failures.push(`${origin} (dev mode ${devMode}): expected ${expected ? 'allowed' : 'rejected'}`);
+        }
+      }
+    } finally {
+      for (const [name, value] of [['MCP_ALLOWED_ORIGINS', saved.allowed], ['MCP_DEV_MODE', saved.devMode]]) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    }
+
+    return failures;
+  }
+
+  // Cursor round-trips, rejection of cursors we didn't issue, and the trim of
+  // the extra document pageStages fetches
+  testPagination() {
+    const failures = [];
+    const expect = (description, passed) => {
+      if (!passed) failures.push(description);
+    };
+    const rejects = (cursor) => {
+      try {
+        decodeCursor(cursor, 'params.cursor');
+        return false;
+      } catch (error) {
+        return error.code === -32602 && error.data.errors[0].startsWith('params.cursor:');
+      }
+    };
+    const foreignCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    expect('cursor round-trips its _id', decodeCursor(encodeCursor('ex-42')) === 'ex-42');
+    expect('no cursor means the first page', decodeCursor(undefined) === null);
+    expect('garbage cursor is rejected', rejects('not-a-cursor'));
+    expect('cursor from another version is rejected', rejects(foreignCursor({ v: 2, after: 'ex-42' })));
+    expect('cursor without a string _id is rejected', rejects(foreignCursor({ v: 1, after: 42 })));
+
+    const stages = pageStages(null, 2);
+    expect('first page has no $match and fetches one extra', !stages.some(stage => stage.$match) && stages[stages.length - 1].$limit === 3);
+    expect('later pages continue after the cursor', pageStages('ex-2', 2)[0].$match._id.$gt === 'ex-2');
+
+    const full = pageResult([{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }], 2);
+    expect('extra document is trimmed', full.items.length === 2 && full.items[1]._id === 'b');
+    expect('nextCursor continues after the last item kept', decodeCursor(full.nextCursor) === 'b');
+
+    const last = pageResult([{ _id: 'a' }, { _id: 'b' }], 2);
+    expect('last page has no nextCursor', last.items.length === 2 && last.nextCursor === null);
+
+    return failures;
+  }
+
+  // Batch responses come back in request order even when later requests
+  // finish first, and notifications get none (handlePost answers an empty
+  // result with 202 Accepted)
+  async testBatching() {
+    const failures = [];
+    const server = new StreamableHTTPMCPServer({ userId: 'batch-test', scopes: ['*'], roles: [] });
+    const handleRequest = server.handleRequest.bind(server);
+    // Earlier requests answer later, so ordering can't come from completion order
+    server.handleRequest = async (message) => {
+      await new Promise(resolve => setTimeout(resolve, 30 - message.id * 10));
+      return handleRequest(message);
+    };
+
+    const responses = await server.handleBatch([
+      { jsonrpc: '2.0', id: 1, method: 'ping' },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 2, method: 'ping' },
+      { jsonrpc: '1.0', id: 3, method: 'ping' }
+    ]);
+    const ids = responses.map(response => response.id);
+    if (JSON.stringify(ids) !== JSON.stringify([1, 2, 3])) {
+      failures.push(`responses out of order or missing: ids ${JSON.stringify(ids)}`);
+    }
+    if (responses[2]?.error?.code !== -32600) {
+      failures.push('invalid batch element did not get -32600');
+    }
+
+    const notificationsOnly = await server.handleBatch([
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', method: 'notifications/roots/list_changed' }
+    ]);
+    if (notificationsOnly.length !== 0) {
+      failures.push(`a batch of notifications got ${notificationsOnly.length} response(s)`);
+    }
+
+    return failures;
+  }
+
+  reportChecks(failures, passedMessage, detail) {
+    if (failures.length === 0) {
+      console.log(`✅ ${passedMessage}`);
+      console.log(`   ${detail}`);
+    } else {
+      console.log(`❌ ${passedMessage.replace('passed', 'failed')}`);
+      for (const failure of failures) {
+        console.log(`   ${failure}`);
+      }
+    }
+  }
+
   async runTests() {
     console.log('🧪 Testing Streamable HTTP MCP Implementation\n');
     console.log('Make sure to start the server first: npm run dev\n');
 
     try {
+      // Test 0: initialize to obtain a session
+      console.log('0. Testing initialize...');
+      const initResponse = await this.testPOSTRequest({
+        jsonrpc: '2.0',
+        id: 0,
+        method: 'initialize',
+        params: {
+          protocolVersion: '2025-06-18',
+          capabilities: {},
+          clientInfo: { name: 'test-streamable-http', version: '1.0.0' }
+        }
+      }, 'application/json');
+
+      this.sessionId = initResponse.headers['mcp-session-id'] || null;
+      try {
+        this.protocolVersion = JSON.parse(initResponse.body).result?.protocolVersion || null;
+      } catch (e) {
+        this.protocolVersion = null;
+      }
+      if (initResponse.statusCode === 200 && this.sessionId) {
+        console.log('✅ Initialize test passed');
+        console.log(`   Session ID: ${this.sessionId}`);
+        console.log(`   Protocol version: ${this.protocolVersion}`);
+      } else {
+        console.log('❌ Initialize test failed');
+        console.log(`   Status: ${initResponse.statusCode}`);
+        console.log(`   Body: ${initResponse.body.substring(0, 200)}...`);
+      }
+
       // Test 1: POST with JSON response
       console.log('1. Testing POST request with JSON response...');
       const jsonResponse = await this.testPOSTRequest({
@@ -138,7 +315,7 @@ class StreamableHTTPTester {
         
         if (sseResponse.contentType?.includes('text/event-stream')) {
           console.log('   ✅ Received SSE stream');
-          console.log(`   Session ID: ${sseResponse.headers['x-session-id'] || 'Not provided'}`);
+          console.log(`   Session ID: ${sseResponse.headers['mcp-session-id'] || 'Not provided'}`);
           
           // Parse SSE data
           const lines = sseResponse.body.split('\n');
@@ -169,7 +346,7 @@ class StreamableHTTPTester {
         console.log('✅ GET SSE stream test passed');
         console.log(`   Status: ${getResponse.statusCode}`);
         console.log(`   Content-Type: ${getResponse.contentType}`);
-        console.log(`   Session ID: ${getResponse.headers['x-session-id'] || 'Not provided'}`);
+        console.log(`   Session ID: ${getResponse.headers['mcp-session-id'] || 'Not provided'}`);
       } else if (getResponse.statusCode === 405) {
         console.log('⚠️  GET SSE stream not supported (Method Not Allowed)');
         console.log('   This is acceptable per MCP spec if server doesn\'t support GET streams');
@@ -209,12 +386,31 @@ class StreamableHTTPTester {
         console.log(`   Methods: ${corsResponse.headers['access-control-allow-methods']}`);
       }
 
+      // Test 5: DELETE terminates the session
+      console.log('\n5. Testing DELETE to terminate the session...');
+      const deleteResponse = await this.testDELETERequest();
+      const afterDelete = await this.testPOSTRequest({
+        jsonrpc: '2.0',
+        id: 5,
+        method: 'tools/list',
+        params: {}
+      });
+
+      if (deleteResponse.statusCode === 204 && afterDelete.statusCode === 404) {
+        console.log('✅ Session termination test passed');
+      } else {
+        console.log('❌ Session termination test failed');
+        console.log(`   DELETE status: ${deleteResponse.statusCode}`);
+        console.log(`   POST after DELETE status: ${afterDelete.statusCode}`);
+      }
+
       console.log('\n🎉 Streamable HTTP tests completed!');
       console.log('\n📋 Summary:');
       console.log('- POST with JSON response: Implemented ✅');
       console.log('- POST with SSE response: Implemented ✅');
       console.log('- GET with SSE stream: Implemented ✅');
       console.log('- CORS support: Implemented ✅');
+      console.log('- Session management: Implemented ✅');
       console.log('- Origin validation: Implemented ✅');
       console.log('\n🔧 This implementation follows MCP Streamable HTTP specification!');
 
@@ -222,6 +418,29 @@ class StreamableHTTPTester {
       console.error('❌ Test failed with error:', error.message);
       console.log('\n💡 Make sure the server is running: npm run dev');
     }
+
+    // Tests 6-8 run in-process and need no server, so they run even when the
+    // tests above could not connect.
+    console.log('\n6. Testing Origin allowlist matching...');
+    this.reportChecks(
+      this.testOriginValidation(),
+      'Origin validation test passed',
+      'Lookalike hosts and the wildcard\'s apex domain are rejected; subdomains are allowed'
+    );
+
+    console.log('\n7. Testing pagination cursors...');
+    this.reportChecks(
+      this.testPagination(),
+      'Pagination test passed',
+      'Cursors round-trip, foreign cursors get -32602 and the extra document is trimmed'
+    );
+
+    console.log('\n8. Testing JSON-RPC batches...');
+    this.reportChecks(
+      await this.testBatching(),
+      'Batch test passed',
+      'Responses keep request order and notification-only batches get no responses'
+    );
   }
 }
 
@@ -111,7 +111,8 @@ async function testUserFitnessProfile() {
 async function testJWTValidation() {
   console.log('\n=== Testing JWT Validation Helper ===\n');
   
-  const server = new StreamableHTTPMCPServer();
+  // Tokens below are signed with this shared secret
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'secret';
   
   // Test different JWT token structures
   const testCases = [
@@ -139,21 +140,41 @@ async function testJWTValidation() {
       name: 'Token without user ID',
       token: jwt.sign({ someOtherField: 'value' }, 'secret'),
       shouldWork: false
+    },
+    {
+      name: 'Expired token',
+      token: jwt.sign({ sub: 'user102', exp: Math.floor(Date.now() / 1000) - 3600 }, 'secret'),
+      shouldWork: false,
+      expectedReason: 'token_expired'
+    },
+    {
+      name: 'Token signed with the wrong secret',
+      token: jwt.sign({ sub: 'user103' }, 'not-the-secret'),
+      shouldWork: false,
+      expectedReason: 'invalid_signature'
+    },
+    {
+      name: 'Unsigned token (alg: none)',
+      token: jwt.sign({ sub: 'user104' }, null, { algorithm: 'none' }),
+      shouldWork: false,
+      expectedReason: 'invalid_signature'
     }
   ];
   
   for (const testCase of testCases) {
     console.log(`Testing: ${testCase.name}`);
     try {
-      const result = server.validateJWTToken(`Bearer ${testCase.token}`);
+      const result = await StreamableHTTPMCPServer.validateJWTToken(`Bearer ${testCase.token}`);
       if (testCase.shouldWork) {
         console.log(`✅ Success - User ID: ${result.userId}`);
       } else {
         console.log(`❌ Should have failed but didn't`);
       }
     } catch (error) {
-      if (!testCase.shouldWork) {
-        console.log(`✅ Correctly failed: ${error.message}`);
+      if (!testCase.shouldWork && testCase.expectedReason && error.reason !== testCase.expectedReason) {
+        console.log(`❌ Failed with reason ${error.reason}, expected ${testCase.expectedReason}`);
+      } else if (!testCase.shouldWork) {
+        console.log(`✅ Correctly failed (${error.reason}): ${error.message}`);
       } else {
         console.log(`❌ Should have worked but failed: ${error.message}`);
       }